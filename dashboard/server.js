@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// ChessLock proctor dashboard
+// Receives live reports from player machines and shows every player's state on one screen.
+// Usage: npm run dashboard -- [--port=8420]
+// Point players at it with a policy containing:
+//   "reporting": { "enabled": true, "endpoint": "http://<this-host>:8420/api/report" }
+// Save a session's log anchors with GET /api/log-anchors?session=<session id> and
+// check the player's exported log against them with `npm run verify-log`.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const portFlag = process.argv.find(arg => arg.startsWith('--port='));
+const PORT = Number(portFlag ? portFlag.split('=')[1] : process.env.PORT || 8420);
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Players by client id
+const players = new Map();
+// Session log anchors: session id -> Map(seq -> entry hash), for `npm run verify-log -- --anchors=`
+const logAnchors = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCheck(value) {
+  return isPlainObject(value) && Array.isArray(value.failures) && value.failures.every(isPlainObject);
+}
+
+// { seq, hash } of the player's latest session log entry
+function isLogAnchor(value) {
+  return isPlainObject(value) && Number.isInteger(value.seq) && value.seq >= 0 &&
+    typeof value.hash === 'string' && /^[0-9a-f]{64}$/.test(value.hash);
+}
+
+// Reports come from any machine on the network: only accept the shape players send
+// { clientId, sessionId, player, seq, time, type, data, log }
+function isValidEvent(event) {
+  if (!isPlainObject(event) || typeof event.clientId !== 'string' || !event.clientId ||
+      typeof event.type !== 'string' || typeof event.time !== 'string' || !isPlainObject(event.data)) {
+    return false;
+  }
+  if (event.log !== undefined && event.log !== null && !isLogAnchor(event.log)) {
+    return false;
+  }
+  switch (event.type) {
+    case 'check':
+      return isCheck(event.data);
+    case 'heartbeat':
+      return event.data.lastCheck === undefined || event.data.lastCheck === null || isCheck(event.data.lastCheck);
+    case 'session-start':
+    case 'session-resumed':
+      return event.data.policyHash === undefined || (typeof event.data.policyHash === 'string' && /^[0-9a-f]{64}$/.test(event.data.policyHash));
+    default:
+      return true;
+  }
+}
+
+// Keep the first hash reported for each log entry; a later report can't replace it
+function recordLogAnchor(event) {
+  if (!event.log || typeof event.sessionId !== 'string') return;
+  if (!logAnchors.has(event.sessionId)) {
+    logAnchors.set(event.sessionId, new Map());
+  }
+  const anchors = logAnchors.get(event.sessionId);
+  if (!anchors.has(event.log.seq)) {
+    anchors.set(event.log.seq, event.log.hash);
+  }
+}
+
+function sendLogAnchors(res, sessionId) {
+  const anchors = logAnchors.get(sessionId);
+  if (!anchors) {
+    res.writeHead(404).end();
+    return;
+  }
+  const list = [...anchors].map(([seq, hash]) => ({ seq, hash })).sort((a, b) => a.seq - b.seq);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(list));
+}
+
+// Work out a player's state from the event just received
+function applyEvent(player, event) {
+  player.lastSeen = event.time;
+  player.sessionId = event.sessionId;
+  player.name = event.player;
+
+  switch (event.type) {
+    case 'session-start':
+      player.state = 'monitoring';
+      player.policy = event.data.policyName;
+      // The name is whatever the policy file says; the hash tells apart two edits of it
+      player.policyHash = event.data.policyHash;
+      player.startedAt = event.time;
+      break;
+    case 'session-resumed':
+      player.state = 'monitoring';
+      player.policy = event.data.policyName;
+      player.policyHash = event.data.policyHash;
+      break;
+    case 'attestation':
+      player.attestation = { code: event.data.code, compliant: event.data.compliant };
+      break;
+    case 'check':
+      player.issues = event.data.failures.map(failure => failure.message);
+      if (player.state !== 'warning') {
+        player.state = event.data.passed ? 'compliant' : 'non-compliant';
+      }
+      break;
+    case 'heartbeat':
+      if (event.data.lastCheck) {
+        player.issues = event.data.lastCheck.failures.map(failure => failure.message);
+      }
+      if (!player.state) {
+        player.state = 'monitoring';
+      }
+      break;
+    case 'warning-shown':
+      player.state = 'warning';
+      player.warnings = (player.warnings || 0) + 1;
+      break;
+    case 'warning-resolved':
+      player.state = 'compliant';
+      break;
+    case 'session-interrupted':
+      // Sent by the next launch when a force-quit session could not be resumed
+      if (!event.data.resumed) {
+        player.state = 'interrupted';
+        player.issues = [`Interrupted, not resumed: ${event.data.reason}`];
+      }
+      break;
+    case 'session-terminated':
+      player.state = 'terminated';
+      break;
+    case 'session-end':
+      player.state = 'ended';
+      break;
+  }
+
+  player.events.push({ time: event.time, type: event.type, data: event.data });
+  if (player.events.length > 50) {
+    player.events.shift();
+  }
+}
+
+function handleReport(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      res.writeHead(413).end();
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    if (!isValidEvent(event)) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const isNew = !players.has(event.clientId);
+    if (isNew) {
+      players.set(event.clientId, { clientId: event.clientId, events: [], warnings: 0, issues: [] });
+    }
+    try {
+      applyEvent(players.get(event.clientId), event);
+    } catch (err) {
+      // A malformed report is the sender's problem; it never takes the dashboard down
+      console.log(`Rejected report from ${event.clientId}: ${err.message}`);
+      if (isNew) players.delete(event.clientId);
+      res.writeHead(400).end();
+      return;
+    }
+    recordLogAnchor(event);
+    res.writeHead(204).end();
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'POST' && req.url === '/api/report') {
+    handleReport(req, res);
+  } else if (req.method === 'GET' && url.pathname === '/api/log-anchors') {
+    sendLogAnchors(res, url.searchParams.get('session'));
+  } else if (req.method === 'GET' && req.url === '/api/players') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([...players.values()]));
+  } else if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(path.join(__dirname, 'index.html')).pipe(res);
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`ChessLock dashboard running at http://localhost:${PORT}`);
+});
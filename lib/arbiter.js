@@ -0,0 +1,90 @@
+// Arbiter passphrase detection
+// The policy ships to every player, so it stores only a slow salted hash of the passphrase:
+//   "arbiter": { "passphraseHash": "scrypt:<length>:<salt>:<hex scrypt digest>" }
+// (generate one with `npm run hash-passphrase`). Keys typed anywhere in ChessLock
+// are kept in a rolling buffer; the hash records the passphrase length, so each
+// keypress costs one scrypt of the last <length> keys rather than one per suffix.
+// Keys are checked off the main thread, one at a time, in the order they were typed.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const MAX_PASSPHRASE_LENGTH = 64;
+
+// Node's default scrypt cost: tens of milliseconds per keypress, far slower to guess
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const DIGEST_BYTES = 32;
+
+// Keys waiting to be checked; when typing outruns scrypt the oldest are dropped,
+// since only the most recent keys can still complete the passphrase
+const MAX_PENDING_CHECKS = MAX_PASSPHRASE_LENGTH;
+
+const scryptAsync = promisify(crypto.scrypt);
+
+function hashPassphrase(passphrase, salt = crypto.randomBytes(16).toString('hex')) {
+  const digest = crypto.scryptSync(passphrase, salt, DIGEST_BYTES, SCRYPT_OPTIONS);
+  return `scrypt:${passphrase.length}:${salt}:${digest.toString('hex')}`;
+}
+
+// Returns { length, salt, digest } or null for a malformed hash
+function parsePassphraseHash(passphraseHash) {
+  const match = /^scrypt:(\d+):([^:]+):([a-f0-9]{64})$/i.exec(passphraseHash || '');
+  if (!match) return null;
+  const length = Number(match[1]);
+  if (length < 1 || length > MAX_PASSPHRASE_LENGTH) return null;
+  return { length, salt: match[2], digest: Buffer.from(match[3].toLowerCase(), 'hex') };
+}
+
+function createPassphraseDetector({ passphraseHash }) {
+  const parsed = parsePassphraseHash(passphraseHash);
+  let buffer = '';
+  // [{ candidate, resolve }] in typing order
+  const pending = [];
+  let checking = false;
+
+  async function matches(candidate) {
+    try {
+      const digest = await scryptAsync(candidate, parsed.salt, DIGEST_BYTES, SCRYPT_OPTIONS);
+      return crypto.timingSafeEqual(digest, parsed.digest);
+    } catch (err) {
+      console.error('Passphrase check failed:', err.message);
+      return false;
+    }
+  }
+
+  async function drain() {
+    if (checking) return;
+    checking = true;
+    while (pending.length > 0) {
+      const { candidate, resolve } = pending.shift();
+      const found = await matches(candidate);
+      if (found) {
+        // Keys typed after the passphrase start a new one
+        buffer = '';
+        for (const skipped of pending.splice(0)) skipped.resolve(false);
+      }
+      resolve(found);
+    }
+    checking = false;
+  }
+
+  // Add a typed character; resolves to true when the keys typed so far end with the passphrase
+  function push(key) {
+    if (!parsed || typeof key !== 'string' || key.length !== 1) return Promise.resolve(false);
+    buffer = (buffer + key).slice(-parsed.length);
+    if (buffer.length < parsed.length) return Promise.resolve(false);
+
+    const candidate = buffer;
+    return new Promise((resolve) => {
+      if (pending.length >= MAX_PENDING_CHECKS) {
+        pending.shift().resolve(false);
+      }
+      pending.push({ candidate, resolve });
+      drain();
+    });
+  }
+
+  return { push, enabled: Boolean(parsed) };
+}
+
+module.exports = { createPassphraseDetector, hashPassphrase, parsePassphraseHash, MAX_PASSPHRASE_LENGTH };
@@ -0,0 +1,170 @@
+// Start-of-session system snapshot, signed as an attestation
+// When the player presses Start, ChessLock records what the machine looked like
+// (OS, hardware model, displays, USB and Bluetooth devices, conferencing state,
+// running processes, the fair-play checks and the policy hash) and signs it with
+// this install's Ed25519 key, kept in <userData>/attestation-key.pem.
+// The attestation is saved next to the session log as <sessionId>-attestation.json:
+//   { format, snapshot, keyId, publicKey, signature }
+// The signature covers the snapshot as canonical JSON (keys sorted), so editing
+// the file breaks it. The key is per install, not certified by anyone: it shows
+// the file is unchanged and which install made it, not that the install is honest.
+// Players read the short code (e.g. 'A1B2-C3D4-E5F6') to the arbiter, who can
+// match it against the file and the session log.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const FORMAT = 'chesslock-attestation/1';
+const KEY_FILE = 'attestation-key.pem';
+
+function getAttestationPath(sessionsDirectory, sessionId) {
+  return path.join(sessionsDirectory, `${sessionId}-attestation.json`);
+}
+
+// JSON with object keys sorted at every level, so the signed bytes don't depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// This install's signing key, created on first use
+function loadSigningKey(userDataPath) {
+  const keyPath = path.join(userDataPath, KEY_FILE);
+  let privateKey;
+  if (fs.existsSync(keyPath)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+  } else {
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    fs.mkdirSync(userDataPath, { recursive: true });
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  }
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  return { privateKey, publicKey, keyId: getKeyId(publicKey) };
+}
+
+function getKeyId(publicKeyPem) {
+  const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+// Short code players can read out: the first 12 hex digits of the signature's hash
+function getAttestationCode(signature) {
+  const digest = crypto.createHash('sha256').update(signature).digest('hex').slice(0, 12).toUpperCase();
+  return digest.match(/.{4}/g).join('-');
+}
+
+// Probe results, or the error a probe failed with (a snapshot never fails as a whole)
+async function settle(run) {
+  try {
+    return await run();
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// sources: { probes, listProcesses, getMachineInfo, evaluation }
+// - probes: the probe functions by name (displays, displayInfo, usb, bluetooth, conference, machine, forbiddenApps)
+// - evaluation: the rule engine's preflight evaluation at the same moment
+// session: { sessionId, appVersion, policyName, policyHash, chessPlatform }
+async function collectSnapshot(sources, session) {
+  const probe = (name) => sources.probes[name] ? settle(sources.probes[name]) : { error: `Unknown probe: ${name}` };
+  const [displays, usb, bluetooth, conference, virtualMachine, forbiddenApps, machine, processes] = await Promise.all([
+    probe('displayInfo'),
+    probe('usb'),
+    probe('bluetooth'),
+    probe('conference'),
+    probe('machine'),
+    probe('forbiddenApps'),
+    settle(sources.getMachineInfo),
+    settle(sources.listProcesses)
+  ]);
+
+  return {
+    takenAt: new Date().toISOString(),
+    ...session,
+    os: {
+      platform: process.platform,
+      release: os.release(),
+      version: os.version(),
+      arch: os.arch()
+    },
+    machine: machine.error ? machine : { model: machine.model || null, manufacturer: machine.manufacturer || null },
+    virtualMachine,
+    displays,
+    usb,
+    bluetooth,
+    conference,
+    forbiddenApps,
+    processes: Array.isArray(processes) ? [...new Set(processes.map(proc => proc.name))].sort() : processes,
+    checks: sources.evaluation.results.map(result => ({ id: result.id, passed: result.passed, message: result.message })),
+    compliant: sources.evaluation.passed
+  };
+}
+
+function createAttestation(snapshot, key) {
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(snapshot)), key.privateKey).toString('base64');
+  return { format: FORMAT, snapshot, keyId: key.keyId, publicKey: key.publicKey, signature };
+}
+
+// Returns { valid, code, keyId, error }
+function verifyAttestation(attestation) {
+  if (!attestation || attestation.format !== FORMAT) {
+    return { valid: false, error: `Not a ${FORMAT} file` };
+  }
+  let signatureValid;
+  try {
+    signatureValid = crypto.verify(
+      null,
+      Buffer.from(canonicalJson(attestation.snapshot)),
+      attestation.publicKey,
+      Buffer.from(attestation.signature, 'base64')
+    );
+  } catch (err) {
+    return { valid: false, error: `Unreadable key or signature: ${err.message}` };
+  }
+  if (!signatureValid) {
+    return { valid: false, error: 'Signature does not match the snapshot' };
+  }
+  if (getKeyId(attestation.publicKey) !== attestation.keyId) {
+    return { valid: false, error: 'Key id does not match the public key' };
+  }
+  return { valid: true, code: getAttestationCode(attestation.signature), keyId: attestation.keyId };
+}
+
+// What the player, the arbiter panel and the dashboard are shown
+function summarizeAttestation(attestation) {
+  const { snapshot } = attestation;
+  const count = (result, key) => result && !result.error ? result[key] : null;
+  return {
+    code: getAttestationCode(attestation.signature),
+    keyId: attestation.keyId,
+    takenAt: snapshot.takenAt,
+    compliant: snapshot.compliant,
+    failing: snapshot.checks.filter(check => !check.passed).map(check => check.id),
+    os: `${snapshot.os.platform} ${snapshot.os.release}`,
+    model: snapshot.machine.model || null,
+    displays: snapshot.displays.error ? null : snapshot.displays.displays.length,
+    usbDevices: count(snapshot.usb, 'count'),
+    processes: Array.isArray(snapshot.processes) ? snapshot.processes.length : null
+  };
+}
+
+module.exports = {
+  getAttestationPath,
+  loadSigningKey,
+  collectSnapshot,
+  createAttestation,
+  verifyAttestation,
+  summarizeAttestation,
+  getAttestationCode
+};
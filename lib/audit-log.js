@@ -0,0 +1,163 @@
+// Tamper-evident session audit log
+// Each proctored session is written as JSON Lines to <userData>/sessions/<sessionId>.jsonl.
+// Every entry carries the hash of the previous entry, so removing, reordering or
+// editing any line breaks the chain from that point on. Gaps between entries
+// larger than the monitor interval show where a session was interrupted.
+// The chain has no secret: whoever edits the file can recompute every hash. It
+// only holds against the player when hashes are also kept somewhere else, so the
+// reporter sends each entry's { seq, hash } to the dashboard as it is written, and
+// verification checks the log against those anchors: a rewritten entry no longer
+// matches the hash the dashboard received for it, or for any later entry.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry types that close a session normally
+const CLOSING_TYPES = ['session-end', 'session-terminated'];
+
+function hashEntry(entry) {
+  const { seq, time, sessionId, type, data, prevHash } = entry;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ seq, time, sessionId, type, data, prevHash }))
+    .digest('hex');
+}
+
+function getSessionsDirectory(userDataPath) {
+  return path.join(userDataPath, 'sessions');
+}
+
+function createSessionId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Append-only writer for a log whose next entry is seq, chained to prevHash
+function openLog(filePath, sessionId, seq, prevHash) {
+  // Writes are synchronous so entries land in order and survive a crash
+  function append(type, data = {}) {
+    const entry = { seq, time: new Date().toISOString(), sessionId, type, data, prevHash };
+    entry.hash = hashEntry(entry);
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', { flag: 'a' });
+    seq++;
+    prevHash = entry.hash;
+    return entry;
+  }
+
+  return {
+    append,
+    sessionId,
+    filePath,
+    getHeadHash: () => prevHash
+  };
+}
+
+// Open a new append-only log for a session
+function createAuditLog({ directory, sessionId = createSessionId() }) {
+  fs.mkdirSync(directory, { recursive: true });
+  return openLog(path.join(directory, `${sessionId}.jsonl`), sessionId, 0, GENESIS_HASH);
+}
+
+// Reopen the log of an interrupted session and carry on its hash chain
+// Throws when the log is empty or its chain is already broken
+function resumeAuditLog(filePath) {
+  const verification = verifyAuditLog(filePath);
+  if (!verification.valid) {
+    throw new Error(`Session log does not verify: ${verification.error}`);
+  }
+  if (verification.entries === 0) {
+    throw new Error('Session log is empty');
+  }
+  return openLog(filePath, verification.sessionId, verification.entries, verification.headHash);
+}
+
+// Check the hash chain of a session log
+// anchors: [{ seq, hash }] kept off the player's machine (the dashboard's copy)
+// Returns { valid, complete, entries, sessionId, headHash, lastTime, gaps, anchorsChecked, error }
+function verifyAuditLog(filePath, { maxGapSeconds = 10, anchors = [] } = {}) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+  let prevHash = GENESIS_HASH;
+  let prevTime = null;
+  let sessionId = null;
+  const gaps = [];
+  const hashes = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return { valid: false, entries: i, error: `Line ${i + 1} is not valid JSON` };
+    }
+    if (entry.seq !== i) {
+      return { valid: false, entries: i, error: `Line ${i + 1} is out of sequence (expected ${i}, found ${entry.seq})` };
+    }
+    if (entry.prevHash !== prevHash || entry.hash !== hashEntry(entry)) {
+      return { valid: false, entries: i, error: `Hash chain broken at line ${i + 1}` };
+    }
+    if (sessionId === null) {
+      sessionId = entry.sessionId;
+    } else if (entry.sessionId !== sessionId) {
+      return { valid: false, entries: i, error: `Line ${i + 1} belongs to another session` };
+    }
+
+    const time = Date.parse(entry.time);
+    if (prevTime !== null && (time - prevTime) / 1000 > maxGapSeconds) {
+      gaps.push({ afterSeq: i - 1, seconds: Math.round((time - prevTime) / 1000) });
+    }
+    prevTime = time;
+    prevHash = entry.hash;
+    hashes.push(entry.hash);
+  }
+
+  for (const anchor of anchors) {
+    if (anchor.seq >= hashes.length) {
+      return { valid: false, entries: lines.length, error: `Entry ${anchor.seq} was reported but is missing from the log` };
+    }
+    if (hashes[anchor.seq] !== anchor.hash) {
+      return { valid: false, entries: anchor.seq, error: `Entry ${anchor.seq} does not match the hash reported for it` };
+    }
+  }
+
+  const last = lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+  return {
+    valid: true,
+    complete: Boolean(last && CLOSING_TYPES.includes(last.type)),
+    entries: lines.length,
+    sessionId,
+    headHash: prevHash,
+    lastTime: last ? last.time : null,
+    gaps,
+    anchorsChecked: anchors.length
+  };
+}
+
+// Verify a session log and copy it to a destination chosen by the user
+function exportAuditLog(filePath, destination, options) {
+  const verification = verifyAuditLog(filePath, options);
+  fs.copyFileSync(filePath, destination);
+  return verification;
+}
+
+// Session logs in a directory, most recent first
+function listAuditLogs(directory) {
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => {
+      const filePath = path.join(directory, name);
+      return { sessionId: path.basename(name, '.jsonl'), filePath, modified: fs.statSync(filePath).mtimeMs };
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
+
+module.exports = {
+  createAuditLog,
+  resumeAuditLog,
+  verifyAuditLog,
+  exportAuditLog,
+  listAuditLogs,
+  getSessionsDirectory
+};
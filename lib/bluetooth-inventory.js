@@ -0,0 +1,70 @@
+// Bluetooth inventory from `system_profiler SPBluetoothDataType -json` (macOS)
+// Every platform's Bluetooth probe reports connected devices in the same shape:
+// { name, address, type } with address as uppercase 'AA:BB:CC:DD:EE:FF'
+// and type as the OS's device class ('Headphones', 'Mouse', 'Hearing Aid'...).
+
+// Normalise 'aa-bb-cc-dd-ee-ff' or 'AABBCCDDEEFF' to 'AA:BB:CC:DD:EE:FF'
+function normalizeAddress(value) {
+  if (!value) return null;
+  const hex = String(value).replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 12) return null;
+  return hex.toUpperCase().match(/.{2}/g).join(':');
+}
+
+// Device lists are arrays of single-key objects: [{ "AirPods": { ...properties } }]
+function toDevices(list) {
+  if (!Array.isArray(list)) return [];
+  return list.flatMap(entry => Object.entries(entry).map(([name, properties]) => ({
+    name,
+    address: normalizeAddress(properties.device_address),
+    type: properties.device_minorType || properties.device_majorType || null
+  })));
+}
+
+function isPoweredOn(controller) {
+  const state = controller.controller_state || controller.general_power || '';
+  return /attrib_on|^on$/i.test(state);
+}
+
+// Parse system_profiler output into { bluetoothEnabled, devices } (connected devices only)
+// Throws on output without Bluetooth data rather than reporting it off
+function parseSystemProfilerBluetooth(output) {
+  const data = typeof output === 'string' ? JSON.parse(output) : output;
+  const entries = data && data.SPBluetoothDataType;
+  if (!Array.isArray(entries)) {
+    throw new Error('system_profiler listed no Bluetooth data');
+  }
+  let bluetoothEnabled = false;
+  const devices = [];
+
+  for (const entry of entries) {
+    // macOS 12 and later use controller_properties; older releases local_device_title
+    const controller = entry.controller_properties || entry.local_device_title || {};
+    if (isPoweredOn(controller)) {
+      bluetoothEnabled = true;
+    }
+    devices.push(...toDevices(entry.device_connected));
+
+    // Older releases list every paired device with an "is connected" flag
+    if (Array.isArray(entry.device_title)) {
+      for (const entryDevice of entry.device_title) {
+        for (const [name, properties] of Object.entries(entryDevice)) {
+          if (/attrib_yes/i.test(properties.device_isconnected || '')) {
+            devices.push({
+              name,
+              address: normalizeAddress(properties.device_addr || properties.device_address),
+              type: properties.device_minorClassOfDevice_string || properties.device_majorClassOfDevice_string || null
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return { bluetoothEnabled, devices };
+}
+
+module.exports = {
+  parseSystemProfilerBluetooth,
+  normalizeAddress
+};
@@ -0,0 +1,13 @@
+// Discord desktop client
+// Discord shows no separate window or helper while streaming, so sharing cannot be verified
+
+module.exports = {
+  id: 'discord',
+  name: 'Discord',
+  processes: {
+    darwin: ['Discord'],
+    linux: ['Discord', 'discord'],
+    win32: ['Discord.exe']
+  },
+  screenSharingDetectable: false
+};
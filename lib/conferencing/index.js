@@ -0,0 +1,72 @@
+// Video-conferencing providers
+// A provider describes how to recognise one conferencing app:
+// - processes: executable names per platform for a desktop client
+// - browser/windowTitles: the app can run in a browser tab, recognised by window title
+// - shareProcesses/shareWindowTitles: what appears while the screen is shared, per platform
+//   (window titles are only listed where a provider needs them: on macOS that asks
+//   System Events, which can prompt for Automation permission)
+// - shareOpenFiles: { command, patterns } per platform, for a client whose sharing shows
+//   in the files it holds open
+// - screenSharingDetectable: false when sharing cannot be observed at all
+// Detection runs against platform primitives (listProcesses, listWindowTitles,
+// isCameraInUse, listOpenFiles), so it shares the probes' timeouts and error handling.
+
+const PROVIDERS = [
+  require('./zoom'),
+  require('./meet'),
+  require('./teams'),
+  require('./discord'),
+  require('./jitsi')
+];
+
+const BROWSER_PROCESSES = {
+  darwin: ['Google Chrome', 'Safari', 'firefox', 'Microsoft Edge', 'Brave Browser', 'Arc', 'Opera', 'Vivaldi', 'Chromium'],
+  linux: ['chrome', 'chromium', 'chromium-browse', 'firefox', 'firefox-bin', 'msedge', 'brave', 'opera', 'vivaldi-bin'],
+  win32: ['chrome.exe', 'firefox.exe', 'msedge.exe', 'brave.exe', 'opera.exe', 'vivaldi.exe']
+};
+
+function getProvider(id) {
+  return PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+const providerIds = PROVIDERS.map(provider => provider.id);
+
+// Report whether the provider is running, the camera is on and the screen is shared
+// screenSharing is null when the provider's sharing cannot be observed
+async function detectConference(provider, system) {
+  const processes = await system.listProcesses();
+  const processNames = new Set(processes.map(proc => proc.name.toLowerCase()));
+  const hasProcess = (names = []) => names.some(name => processNames.has(name.toLowerCase()));
+
+  const shareTitles = (provider.shareWindowTitles || {})[system.platform] || [];
+  const needsTitles = provider.browser || shareTitles.length > 0;
+  const titles = needsTitles ? await system.listWindowTitles() : [];
+  const hasTitle = (patterns = []) => patterns.some(pattern => titles.some(title => pattern.test(title)));
+
+  let running = hasProcess((provider.processes || {})[system.platform]);
+  if (!running && provider.browser && hasProcess(BROWSER_PROCESSES[system.platform])) {
+    // Without window titles (no permission) a running browser is the best we can tell
+    running = titles.length === 0 || hasTitle(provider.windowTitles);
+  }
+
+  const base = { provider: provider.id, providerName: provider.name };
+  if (!running) {
+    return { ...base, running: false, cameraInUse: false, screenSharing: false };
+  }
+
+  const cameraInUse = await system.isCameraInUse();
+
+  let screenSharing = hasProcess((provider.shareProcesses || {})[system.platform]) || hasTitle(shareTitles);
+  const shareFiles = (provider.shareOpenFiles || {})[system.platform];
+  if (!screenSharing && shareFiles) {
+    const files = await system.listOpenFiles(shareFiles.command);
+    screenSharing = files.some(file => shareFiles.patterns.some(pattern => pattern.test(file)));
+  }
+  if (!screenSharing && provider.screenSharingDetectable === false) {
+    screenSharing = null;
+  }
+
+  return { ...base, running: true, cameraInUse, screenSharing };
+}
+
+module.exports = { getProvider, providerIds, detectConference, BROWSER_PROCESSES };
@@ -0,0 +1,21 @@
+// Jitsi Meet, desktop client or in a browser tab
+
+// The browser's "<site> is sharing your screen" bar
+const SHARING_BAR = [/meet\.jit\.si is sharing/i];
+
+module.exports = {
+  id: 'jitsi',
+  name: 'Jitsi Meet',
+  processes: {
+    darwin: ['Jitsi Meet'],
+    linux: ['jitsi-meet'],
+    win32: ['Jitsi Meet.exe']
+  },
+  browser: true,
+  windowTitles: [/Jitsi Meet/i, /meet\.jit\.si/i],
+  shareWindowTitles: {
+    darwin: SHARING_BAR,
+    linux: SHARING_BAR,
+    win32: SHARING_BAR
+  }
+};
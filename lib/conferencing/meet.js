@@ -0,0 +1,16 @@
+// Google Meet, running in a browser tab
+
+// Chrome's "<site> is sharing your screen" bar is a window of its own
+const SHARING_BAR = [/meet\.google\.com is sharing/i];
+
+module.exports = {
+  id: 'meet',
+  name: 'Google Meet',
+  browser: true,
+  windowTitles: [/^Meet\b/i, /meet\.google\.com/i],
+  shareWindowTitles: {
+    darwin: SHARING_BAR,
+    linux: SHARING_BAR,
+    win32: SHARING_BAR
+  }
+};
@@ -0,0 +1,21 @@
+// Microsoft Teams, desktop client or in a browser tab
+
+// The desktop client's control bar, or the browser's sharing bar
+const SHARING_WINDOWS = [/sharing control bar/i, /teams\.(microsoft|live)\.com is sharing/i];
+
+module.exports = {
+  id: 'teams',
+  name: 'Microsoft Teams',
+  processes: {
+    darwin: ['MSTeams', 'Microsoft Teams', 'Microsoft Teams (work or school)', 'Microsoft Teams classic'],
+    linux: ['teams', 'teams-for-linux'],
+    win32: ['ms-teams.exe', 'Teams.exe']
+  },
+  browser: true,
+  windowTitles: [/Microsoft Teams/i, /teams\.microsoft\.com/i, /teams\.live\.com/i],
+  shareWindowTitles: {
+    darwin: SHARING_WINDOWS,
+    linux: SHARING_WINDOWS,
+    win32: SHARING_WINDOWS
+  }
+};
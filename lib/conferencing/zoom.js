@@ -0,0 +1,24 @@
+// Zoom desktop client
+
+module.exports = {
+  id: 'zoom',
+  name: 'Zoom',
+  processes: {
+    darwin: ['zoom.us'],
+    linux: ['zoom', 'ZoomLauncher'],
+    win32: ['Zoom.exe']
+  },
+  // Zoom runs a capture helper while sharing
+  shareProcesses: {
+    darwin: ['CptHost', 'zoomshare'],
+    win32: ['CptHost.exe']
+  },
+  // Zoom's sharing toolbar window
+  shareWindowTitles: {
+    linux: [/^as_toolbar$/i]
+  },
+  // Zoom on macOS holds the window server's capture files open while sharing
+  shareOpenFiles: {
+    darwin: { command: 'zoom.us', patterns: [/windowserver/i, /skylight/i] }
+  }
+};
@@ -0,0 +1,56 @@
+// Hardware change notifications
+// A watcher is a long-running command whose output announces device changes:
+//   { probes: ['usb'], command: 'udevadm', args: [...], pattern: /^UDEV/ }
+// Each output line matching `pattern` means the listed probes may have changed.
+// A plug-in produces a burst of lines, so changes are reported once the burst settles.
+// If the command is missing or exits, its probes go back to being polled.
+
+const { spawn } = require('child_process');
+
+const SETTLE_MS = 300;
+
+function startCommandWatcher(watcher, { onChange, onUnavailable, spawnProcess = spawn }) {
+  let child;
+  let stopped = false;
+  let settleTimer = null;
+  let partialLine = '';
+
+  function unavailable(reason) {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(settleTimer);
+    console.log(`Device watcher ${watcher.command} unavailable (${reason}), polling ${watcher.probes.join(', ')}`);
+    onUnavailable(watcher.probes);
+  }
+
+  try {
+    child = spawnProcess(watcher.command, watcher.args, { stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true });
+  } catch (err) {
+    unavailable(err.message);
+    return { stop: () => {} };
+  }
+
+  child.on('error', (err) => unavailable(err.message));
+  child.on('exit', (code) => unavailable(`exited with ${code}`));
+
+  child.stdout.on('data', (chunk) => {
+    const lines = (partialLine + chunk.toString()).split(/\r?\n/);
+    partialLine = lines.pop();
+    if (!lines.some(line => watcher.pattern.test(line))) return;
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+      watcher.probes.forEach(onChange);
+    }, SETTLE_MS);
+  });
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(settleTimer);
+    child.kill();
+  }
+
+  return { stop };
+}
+
+module.exports = { startCommandWatcher };
@@ -0,0 +1,68 @@
+// Display hardware as the OS reports it
+// Electron's screen API collapses mirrored displays into one and reports virtual
+// displays (Sidecar, AirPlay, virtual display drivers) like any monitor, so the
+// virtual display rule also looks at what the OS lists. Every platform reports
+// { displays: [{ name, vendor, internal, mirrored, virtual }], adapters: [{ name, virtual }] }
+
+// Names of virtual display targets and drivers
+const VIRTUAL_DISPLAY_PATTERNS = [
+  /sidecar/i,
+  /airplay/i,
+  /\bvirtual\b/i,
+  /\bdummy\b/i,
+  /spacedesk/i,
+  /\bduet\b/i,
+  /\bluna\b/i,
+  /deskreen/i,
+  /\bparsec\b/i,
+  /iddsampledriver/i,
+  /betterdisplay/i,
+  /remote display/i
+];
+
+function isVirtualName(name) {
+  return Boolean(name) && VIRTUAL_DISPLAY_PATTERNS.some(pattern => pattern.test(name));
+}
+
+// `system_profiler SPDisplaysDataType -json` (macOS): displays are listed under each GPU
+// Throws on output it can't read, so the display rules fail as a probe failure
+function parseSystemProfilerDisplays(json) {
+  const data = JSON.parse(json);
+  if (!data || !Array.isArray(data.SPDisplaysDataType)) {
+    throw new Error('system_profiler listed no display data');
+  }
+  const displays = [];
+  for (const gpu of data.SPDisplaysDataType) {
+    for (const item of gpu.spdisplays_ndrvs || []) {
+      const name = item._name || 'Unknown display';
+      const connection = item.spdisplays_connection_type || '';
+      displays.push({
+        name,
+        vendor: item['_spdisplays_display-vendor-id'] || null,
+        internal: connection === 'spdisplays_internal',
+        mirrored: item.spdisplays_mirror === 'spdisplays_on',
+        virtual: item.spdisplays_virtualdevice === 'spdisplays_yes' || /airplay/i.test(connection) || isVirtualName(name)
+      });
+    }
+  }
+  return { displays, adapters: [] };
+}
+
+// `xrandr --query` (Linux/X11): active outputs; outputs sharing a position are mirrored
+// (connected outputs without a mode are switched off and not listed)
+function parseXrandr(text) {
+  const outputs = [];
+  for (const match of text.matchAll(/^(\S+) connected(?: primary)? \d+x\d+\+(\d+)\+(\d+)/gm)) {
+    outputs.push({ name: match[1], position: `${match[2]},${match[3]}` });
+  }
+  const displays = outputs.map(output => ({
+    name: output.name,
+    vendor: null,
+    internal: /^(eDP|LVDS|DSI)/i.test(output.name),
+    mirrored: outputs.some(other => other !== output && other.position === output.position),
+    virtual: /^(VIRTUAL|DUMMY)/i.test(output.name) || isVirtualName(output.name)
+  }));
+  return { displays, adapters: [] };
+}
+
+module.exports = { parseSystemProfilerDisplays, parseXrandr, isVirtualName };
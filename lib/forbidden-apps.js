@@ -0,0 +1,226 @@
+// Apps that must not run during a proctored game
+// An entry describes how to recognise one app, like a conferencing provider does:
+// - processes: exact executable names per platform
+// - processPatterns: name patterns on any platform, for apps shipped under many names
+// - windowedProcesses: exact executable names per platform that only count while
+//   they have a visible window, for apps that also run in the background (Windows only)
+// - windowTitles: window title patterns, for apps renamed to dodge the process check
+//   (none by default: the chess site's own page titles mention engines and arenas)
+// Event policies can add apps of their own (names and title substrings, any platform)
+// and allow listed ones by id:
+//   "forbidden-apps": { "allowedApps": ["obs"], "extraApps": [{ "name": "Tool", "processes": ["tool.exe"] }] }
+
+const { BROWSER_PROCESSES } = require('./conferencing');
+
+const CATEGORIES = {
+  'remote-desktop': 'remote desktop',
+  'chess-engine': 'chess engine',
+  'browser': 'second browser',
+  'virtual-camera': 'virtual camera',
+  'screen-recording': 'screen recording',
+  'custom': 'not allowed by the event'
+};
+
+const DEFAULT_APPS = [
+  {
+    id: 'teamviewer',
+    name: 'TeamViewer',
+    category: 'remote-desktop',
+    processes: {
+      darwin: ['TeamViewer', 'TeamViewer_Desktop'],
+      linux: ['teamviewer', 'TeamViewer'],
+      win32: ['TeamViewer.exe']
+    }
+  },
+  {
+    id: 'anydesk',
+    name: 'AnyDesk',
+    category: 'remote-desktop',
+    processes: {
+      darwin: ['AnyDesk'],
+      linux: ['anydesk'],
+      win32: ['AnyDesk.exe']
+    }
+  },
+  {
+    id: 'macos-screen-sharing',
+    name: 'Screen Sharing',
+    category: 'remote-desktop',
+    // The viewer app, and the daemon that runs while someone views this Mac
+    processes: {
+      darwin: ['Screen Sharing', 'screensharingd']
+    }
+  },
+  {
+    id: 'chrome-remote-desktop',
+    name: 'Chrome Remote Desktop',
+    category: 'remote-desktop',
+    processes: {
+      darwin: ['remoting_me2me_host'],
+      // chrome-remote-desktop-host, as cut to 15 characters in /proc/<pid>/comm
+      linux: ['chrome-remote-d'],
+      win32: ['remoting_host.exe']
+    }
+  },
+  {
+    id: 'rustdesk',
+    name: 'RustDesk',
+    category: 'remote-desktop',
+    processPatterns: [/^rustdesk(\.exe)?$/i]
+  },
+  {
+    id: 'parsec',
+    name: 'Parsec',
+    category: 'remote-desktop',
+    processPatterns: [/^parsecd(\.exe)?$/i]
+  },
+  {
+    id: 'vnc',
+    name: 'VNC',
+    category: 'remote-desktop',
+    processes: {
+      linux: ['x11vnc', 'vncviewer', 'Xvnc', 'Xtigervnc'],
+      win32: ['vncviewer.exe', 'winvnc.exe', 'tvnserver.exe', 'tvnviewer.exe']
+    }
+  },
+  {
+    id: 'remote-desktop-connection',
+    name: 'Remote Desktop Connection',
+    category: 'remote-desktop',
+    processes: {
+      darwin: ['Microsoft Remote Desktop', 'Windows App'],
+      win32: ['mstsc.exe']
+    }
+  },
+  {
+    id: 'stockfish',
+    name: 'Stockfish',
+    category: 'chess-engine',
+    processPatterns: [/^stockfish/i]
+  },
+  {
+    id: 'leela',
+    name: 'Leela Chess Zero',
+    category: 'chess-engine',
+    processPatterns: [/^lc0/i, /^nibbler/i]
+  },
+  {
+    id: 'komodo',
+    name: 'Komodo / Dragon',
+    category: 'chess-engine',
+    processPatterns: [/^komodo/i, /^dragon[-_ ]/i]
+  },
+  {
+    id: 'chessbase',
+    name: 'ChessBase',
+    category: 'chess-engine',
+    processPatterns: [/^chessbase/i, /^fritz/i]
+  },
+  {
+    id: 'arena',
+    name: 'Arena',
+    category: 'chess-engine',
+    processes: {
+      linux: ['arena'],
+      win32: ['Arena.exe']
+    }
+  },
+  {
+    id: 'chess-guis',
+    name: 'Chess analysis GUI',
+    category: 'chess-engine',
+    processPatterns: [/^hiarcs/i, /^scid/i, /^en[- ]croissant/i, /^cutechess/i, /^banksia/i, /^lucas ?chess/i, /^xboard$/i, /^pychess/i]
+  },
+  {
+    id: 'browsers',
+    name: 'Web browser',
+    category: 'browser',
+    // Edge on Windows keeps running in the background on most machines (startup
+    // boost, background apps), so it only counts once it has a window open
+    processes: { ...BROWSER_PROCESSES, win32: BROWSER_PROCESSES.win32.filter(name => name !== 'msedge.exe') },
+    windowedProcesses: { win32: ['msedge.exe'] }
+  },
+  {
+    id: 'obs',
+    name: 'OBS Studio',
+    category: 'screen-recording',
+    processes: {
+      darwin: ['OBS', 'obs'],
+      linux: ['obs'],
+      win32: ['obs64.exe', 'obs32.exe']
+    }
+  },
+  {
+    id: 'virtual-cameras',
+    name: 'Virtual camera',
+    category: 'virtual-camera',
+    processes: {
+      darwin: ['ManyCam', 'CamTwist', 'mmhmm', 'Snap Camera', 'Camo'],
+      win32: ['ManyCam.exe', 'XSplit.VCam.exe', 'Snap Camera.exe', 'Camo.exe', 'mmhmm.exe']
+    }
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Policy entries use plain names and title substrings, matched case-insensitively on every platform
+function fromPolicyEntry(entry, index) {
+  return {
+    id: entry.id || `custom-${index + 1}`,
+    name: entry.name,
+    category: 'custom',
+    processPatterns: (entry.processes || []).map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')),
+    windowTitles: (entry.windowTitles || []).map(title => new RegExp(escapeRegExp(title), 'i'))
+  };
+}
+
+// The apps a session checks for
+// Browser-based conferencing needs a browser, so browsers are never forbidden then.
+function getForbiddenApps(options = {}, { allowBrowsers = false } = {}) {
+  const allowed = options.allowedApps || [];
+  return DEFAULT_APPS
+    .filter(app => !allowed.includes(app.id))
+    .filter(app => !(allowBrowsers && app.category === 'browser'))
+    .concat((options.extraApps || []).map(fromPolicyEntry));
+}
+
+// Returns { matches: [{ id, name, category, via, evidence }] }
+async function detectForbiddenApps(apps, system) {
+  const processes = await system.listProcesses();
+  if (processes.length === 0) {
+    // Every machine runs something; an empty list means the listing failed
+    throw new Error('Unable to list running processes');
+  }
+  const needsTitles = apps.some(app => app.windowTitles && app.windowTitles.length > 0);
+  const titles = needsTitles ? await system.listWindowTitles() : [];
+  const needsWindows = apps.some(app => ((app.windowedProcesses || {})[system.platform] || []).length > 0);
+  const windows = needsWindows ? await system.listWindowedProcesses() : [];
+
+  const matches = [];
+  for (const app of apps) {
+    const names = new Set(((app.processes || {})[system.platform] || []).map(name => name.toLowerCase()));
+    const running = processes.find(proc => names.has(proc.name.toLowerCase()) ||
+      (app.processPatterns || []).some(pattern => pattern.test(proc.name)));
+    if (running) {
+      matches.push({ id: app.id, name: app.name, category: app.category, via: 'process', evidence: running.name });
+      continue;
+    }
+    const windowedNames = new Set(((app.windowedProcesses || {})[system.platform] || []).map(name => name.toLowerCase()));
+    const windowed = windows.find(candidate => windowedNames.has(candidate.name.toLowerCase()));
+    if (windowed) {
+      matches.push({ id: app.id, name: app.name, category: app.category, via: 'window', evidence: `${windowed.name}: ${windowed.title}` });
+      continue;
+    }
+    const title = titles.find(candidate => (app.windowTitles || []).some(pattern => pattern.test(candidate)));
+    if (title) {
+      matches.push({ id: app.id, name: app.name, category: app.category, via: 'window', evidence: title });
+    }
+  }
+  return { matches };
+}
+
+const forbiddenAppIds = DEFAULT_APPS.map(app => app.id);
+
+module.exports = { getForbiddenApps, detectForbiddenApps, forbiddenAppIds, CATEGORIES };
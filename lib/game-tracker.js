@@ -0,0 +1,71 @@
+// Game state on the chess site, as reported by the preload script
+// A report is { gameId, status, moves, opponent, account }:
+// - status: 'none' (not a game page), 'waiting' (game page, no move yet),
+//   'active' (clocks running or moves made) or 'over'
+// - account: the username signed in on the site, when the page shows it
+//   (read from the site header; a game page's reading is only trusted while
+//   that page is shown, a reading from anywhere else is kept until another one)
+// The tracker turns reports into session events:
+// - game-state when the game or its status changes
+// - game-move when the move count of the current game goes up
+// - account-seen when the page shows a different signed-in username
+
+const STATUSES = ['none', 'waiting', 'active', 'over'];
+
+function shortText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, 64) : null;
+}
+
+// Reports come from a web page; keep only well-formed fields
+function sanitizeReport(report) {
+  const source = report && typeof report === 'object' ? report : {};
+  const gameId = shortText(source.gameId);
+  return {
+    gameId,
+    status: gameId && STATUSES.includes(source.status) ? source.status : 'none',
+    moves: gameId && Number.isInteger(source.moves) && source.moves >= 0 ? source.moves : 0,
+    opponent: gameId ? shortText(source.opponent) : null,
+    account: shortText(source.account)
+  };
+}
+
+function createGameTracker({ onEvent }) {
+  let state = sanitizeReport(null);
+  // Last username a page outside a game showed, and the last one reported
+  let keptAccount = null;
+  let lastSeenAccount = null;
+
+  function getAccount() {
+    return state.account || keptAccount;
+  }
+
+  function update(report) {
+    const next = sanitizeReport(report);
+    const previous = state;
+    state = next;
+
+    if (next.gameId !== previous.gameId || next.status !== previous.status) {
+      onEvent('game-state', { gameId: next.gameId, status: next.status, opponent: next.opponent, moves: next.moves });
+    } else if (next.moves > previous.moves) {
+      onEvent('game-move', { gameId: next.gameId, moves: next.moves });
+    }
+    if (next.account && !next.gameId) {
+      keptAccount = next.account;
+    }
+    const account = getAccount();
+    if (account && account !== lastSeenAccount) {
+      lastSeenAccount = account;
+      onEvent('account-seen', { account, gameId: next.gameId });
+    }
+  }
+
+  return {
+    update,
+    isLive: () => state.status === 'active',
+    getGameId: () => state.gameId,
+    getAccount,
+    getState: () => ({ ...state })
+  };
+}
+
+module.exports = { createGameTracker };
@@ -0,0 +1,190 @@
+// IPC contract between the pages (through preload.js) and the main process
+// Every channel is listed once, with:
+// - kind: 'send' (page -> main), 'invoke' (page -> main, with a reply) or
+//   'event' (main -> page)
+// - pages: the pages allowed to use it. App pages are named after their file
+//   ('start' is start.html); 'game' is the chess site in the kiosk window.
+// - args: one schema per argument: { type: 'string' | 'object', optional, maxLength, enum }
+// - method: the electronAPI function pages call it through. Channels without one
+//   are used by the preload script itself (overlay, passphrase, game tracking).
+// The preload only exposes the methods the current page may use, and the main
+// process checks the sender and the arguments again before running a handler:
+// a page with script access still cannot reach another page's channels.
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const APP_PAGES = ['start', 'warning', 'terminated', 'update', 'replay', 'arbiter'];
+const ALL_PAGES = [...APP_PAGES, 'game'];
+
+// The window each page must be shown in
+const PAGE_WINDOWS = {
+  start: 'main',
+  terminated: 'main',
+  update: 'main',
+  replay: 'main',
+  game: 'main',
+  warning: 'warning',
+  arbiter: 'arbiter'
+};
+
+const ARBITER_ACTIONS = ['pause-monitoring', 'resume-monitoring', 'dismiss-warning', 'extend-grace', 'end-session', 'acknowledge-interrupted', 'close'];
+
+const ID = { type: 'string', maxLength: 128 };
+
+const CHANNELS = {
+  // Start screen
+  'check-in': { kind: 'invoke', pages: ['start'], method: 'checkIn', args: [{ type: 'string', maxLength: 64 }, { type: 'string', maxLength: 64 }, { ...ID, optional: true }] },
+  'start-proctor': { kind: 'send', pages: ['start'], method: 'startProctor', args: [{ ...ID, optional: true }] },
+  'evaluate-rules': { kind: 'invoke', pages: ['start'], method: 'evaluateRules', args: [] },
+  'get-checklist': { kind: 'invoke', pages: ['start'], method: 'getChecklist', args: [] },
+  'get-app-version': { kind: 'invoke', pages: ['start'], method: 'getAppVersion', args: [] },
+  'get-update-status': { kind: 'invoke', pages: ['start'], method: 'getUpdateStatus', args: [] },
+  'get-session-config': { kind: 'invoke', pages: ['start', 'game'], method: 'getSessionConfig', args: [] },
+  'export-session-log': { kind: 'invoke', pages: ['start', 'terminated'], method: 'exportSessionLog', args: [] },
+  'open-replay': { kind: 'send', pages: ['start'], method: 'openReplay', args: [] },
+
+  // Replay viewer
+  'close-replay': { kind: 'send', pages: ['replay'], method: 'closeReplay', args: [] },
+  'list-capture-sessions': { kind: 'invoke', pages: ['replay'], method: 'listCaptureSessions', args: [] },
+  'get-captures': { kind: 'invoke', pages: ['replay'], method: 'getCaptures', args: [ID] },
+  'get-capture-image': { kind: 'invoke', pages: ['replay'], method: 'getCaptureImage', args: [ID, { type: 'string', maxLength: 256 }] },
+
+  // Update page
+  'dismiss-update': { kind: 'send', pages: ['update'], method: 'dismissUpdate', args: [] },
+  'open-download-page': { kind: 'send', pages: ['update'], method: 'openDownloadPage', args: [] },
+
+  // Warning window
+  'warning-timer-expired': { kind: 'send', pages: ['warning'], method: 'warningTimerExpired', args: [] },
+  'issues-updated': { kind: 'event', pages: ['warning'], method: 'onIssuesUpdated' },
+  'countdown-extended': { kind: 'event', pages: ['warning'], method: 'onCountdownExtended' },
+  'issue-resolved': { kind: 'event', pages: ['warning'], method: 'onIssueResolved', once: true },
+
+  // Terminated page
+  'terminate-proctor': { kind: 'send', pages: ['terminated'], method: 'terminateProctor', args: [] },
+
+  // Arbiter panel
+  'get-arbiter-state': { kind: 'invoke', pages: ['arbiter'], method: 'getArbiterState', args: [] },
+  'arbiter-action': { kind: 'invoke', pages: ['arbiter'], method: 'arbiterAction', args: [{ type: 'string', enum: ARBITER_ACTIONS }] },
+
+  // Preload script: overlay on the chess site and the arbiter passphrase
+  'get-overlay-config': { kind: 'invoke', pages: ['game'], args: [] },
+  'game-state': { kind: 'send', pages: ['game'], args: [{ type: 'object' }] },
+  'can-end-proctor': { kind: 'invoke', pages: ['game'], args: [] },
+  'get-attestation': { kind: 'invoke', pages: ['game'], args: [] },
+  'end-proctor': { kind: 'send', pages: ['game'], args: [] },
+  'key-pressed': { kind: 'send', pages: ALL_PAGES, args: [{ type: 'string', maxLength: 1 }] }
+};
+
+// Page name for a URL: an app page, 'game' for a web page, or null
+// (whether a web page is on an allowed site is for the navigation policy to say)
+function identifyPage(url, appDirectory) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol === 'https:' || parsed.protocol === 'http:') {
+    return 'game';
+  }
+  if (parsed.protocol !== 'file:') {
+    return null;
+  }
+  const filePath = path.resolve(fileURLToPath(parsed));
+  const page = path.basename(filePath, '.html');
+  return APP_PAGES.includes(page) && filePath === path.resolve(appDirectory, `${page}.html`) ? page : null;
+}
+
+function checkValue(value, schema) {
+  if (value === undefined || value === null) {
+    return schema.optional ? null : 'is missing';
+  }
+  if (schema.type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+  }
+  if (typeof value !== 'string') {
+    return 'must be a string';
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `must be at most ${schema.maxLength} characters`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+  return null;
+}
+
+// Returns null when the arguments match the channel's schemas, or what is wrong
+function validateArgs(channel, args) {
+  const schemas = CHANNELS[channel].args || [];
+  if (args.length > schemas.length) {
+    return `expects at most ${schemas.length} argument(s), got ${args.length}`;
+  }
+  for (let index = 0; index < schemas.length; index++) {
+    const problem = checkValue(args[index], schemas[index]);
+    if (problem) {
+      return `argument ${index + 1} ${problem}`;
+    }
+  }
+  return null;
+}
+
+// Channels a page may use
+function getPageChannels(page) {
+  return Object.keys(CHANNELS).filter(channel => CHANNELS[channel].pages.includes(page));
+}
+
+// Register the main process handlers, once per app run
+// handlers: { channel: (event, ...args) => result } for every 'send' and 'invoke' channel
+// getSenderPage(event): the sender's page name, or null when it is not a page we know
+// onRejected({ channel, page, reason }): a message that failed the checks (invokes get null back)
+let registered = false;
+
+function registerIpcHandlers({ ipcMain, handlers, getSenderPage, onRejected }) {
+  if (registered) {
+    throw new Error('IPC handlers are already registered');
+  }
+  for (const channel of Object.keys(handlers)) {
+    if (!CHANNELS[channel] || CHANNELS[channel].kind === 'event') {
+      throw new Error(`No IPC contract for handler: ${channel}`);
+    }
+  }
+
+  for (const [channel, contract] of Object.entries(CHANNELS)) {
+    if (contract.kind === 'event') continue;
+    const handler = handlers[channel];
+    if (!handler) {
+      throw new Error(`No handler for IPC channel: ${channel}`);
+    }
+    const checked = (event, ...args) => {
+      const page = getSenderPage(event);
+      if (!page || !contract.pages.includes(page)) {
+        onRejected({ channel, page, reason: 'sender not allowed' });
+        return null;
+      }
+      const problem = validateArgs(channel, args);
+      if (problem) {
+        onRejected({ channel, page, reason: problem });
+        return null;
+      }
+      return handler(event, ...args);
+    };
+    if (contract.kind === 'invoke') {
+      ipcMain.handle(channel, checked);
+    } else {
+      ipcMain.on(channel, checked);
+    }
+  }
+  registered = true;
+}
+
+module.exports = {
+  CHANNELS,
+  PAGE_WINDOWS,
+  ARBITER_ACTIONS,
+  identifyPage,
+  validateArgs,
+  getPageChannels,
+  registerIpcHandlers
+};
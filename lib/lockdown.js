@@ -0,0 +1,155 @@
+// Kiosk lockdown of the main window for a proctored session
+// engage() puts the window in kiosk mode. On macOS that hides the Dock and menu
+// bar and disables app switching (Cmd+Tab), Force Quit and logging out; Windows
+// and Linux get a fullscreen, always-on-top window. Exit shortcuts are swallowed
+// while it lasts.
+// No OS lets an app rule out every way of leaving it (Alt+Tab, Mission Control,
+// a notification), so focus is tracked too: when no ChessLock window has focus
+// any more, onFocusLost() is called, and the focus loss stays on record (see
+// getFocusStatus, the 'focus' probe) until acknowledgeFocusLoss() after the
+// player is back. The window is never silently refocused.
+// release() undoes all of it.
+
+const { app, BrowserWindow, globalShortcut } = require('electron');
+
+// Focus moving between ChessLock's own windows blurs one before focusing the other
+const FOCUS_SETTLE_MS = 150;
+
+const BLOCKED_SHORTCUTS = [
+  'CommandOrControl+Q',      // Quit
+  'CommandOrControl+W',      // Close window
+  'CommandOrControl+H',      // Hide
+  'CommandOrControl+M',      // Minimize
+  'Alt+F4',                  // Windows close
+  'CommandOrControl+Alt+Escape', // Force quit dialog (partial)
+  'Escape',                  // Escape key
+  'CommandOrControl+Shift+Escape',
+  'F11',                     // Fullscreen toggle
+  'CommandOrControl+Shift+F', // Find/Search
+  'CommandOrControl+Shift+Q', // macOS logout dialog
+  'Command+Shift+Q'           // macOS logout dialog (explicit)
+];
+
+function setWindowFullScreen(window, flag) {
+  if (process.platform === 'darwin') {
+    window.setSimpleFullScreen(flag);
+    if (!flag) {
+      window.setFullScreen(false);
+    }
+  } else {
+    window.setFullScreen(flag);
+  }
+}
+
+function createLockdown({ window, onFocusLost = () => {}, onFocusReturned = () => {} }) {
+  let engaged = false;
+  let settleTimer = null;
+  // When focus left ChessLock, and when it came back (null while still away)
+  let lostAt = null;
+  let returnedAt = null;
+
+  function onWindowBlur() {
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+      if (!engaged || BrowserWindow.getFocusedWindow() || (lostAt !== null && returnedAt === null)) return;
+      lostAt = Date.now();
+      returnedAt = null;
+      onFocusLost();
+    }, FOCUS_SETTLE_MS);
+  }
+
+  function onWindowFocus() {
+    clearTimeout(settleTimer);
+    if (!engaged || lostAt === null || returnedAt !== null) return;
+    returnedAt = Date.now();
+    onFocusReturned({ awaySeconds: Math.round((returnedAt - lostAt) / 1000) });
+  }
+
+  function engage() {
+    if (engaged) return;
+    engaged = true;
+
+    window.setClosable(false);
+    window.setMinimizable(false);
+    window.setMaximizable(false);
+    window.setMovable(false);
+    window.setResizable(false);
+    window.setKiosk(true);
+    window.setAlwaysOnTop(true, 'screen-saver');
+    if (process.platform === 'darwin') {
+      // Stay in front on every Space, so Mission Control has nowhere to go
+      window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+    }
+
+    for (const shortcut of BLOCKED_SHORTCUTS) {
+      try {
+        globalShortcut.register(shortcut, () => {
+          // Do nothing - blocks the shortcut
+        });
+      } catch (e) {
+        // Some shortcuts can't be registered
+      }
+    }
+
+    app.on('browser-window-blur', onWindowBlur);
+    app.on('browser-window-focus', onWindowFocus);
+    console.log('Lockdown engaged, kiosk:', window.isKiosk());
+  }
+
+  // keepOnTop: stay above other windows afterwards (the terminated screen)
+  function release({ keepOnTop = false } = {}) {
+    if (!engaged) return;
+    engaged = false;
+    clearTimeout(settleTimer);
+    app.removeListener('browser-window-blur', onWindowBlur);
+    app.removeListener('browser-window-focus', onWindowFocus);
+    BLOCKED_SHORTCUTS.forEach(shortcut => globalShortcut.unregister(shortcut));
+
+    if (window.isDestroyed()) return;
+    window.setKiosk(false);
+    setWindowFullScreen(window, false);
+    if (process.platform === 'darwin') {
+      window.setVisibleOnAllWorkspaces(false);
+    }
+    if (keepOnTop) {
+      window.setAlwaysOnTop(true, 'floating');
+    } else {
+      window.setAlwaysOnTop(false);
+    }
+    window.setClosable(true);
+    console.log('Lockdown released');
+  }
+
+  // Result of the 'focus' probe
+  // - focused: a ChessLock window has focus (always true outside lockdown)
+  // - lostAt/awaySeconds: a focus loss not acknowledged yet, if any
+  function getFocusStatus() {
+    if (lostAt === null) {
+      return { focused: true, lostAt: null, awaySeconds: null };
+    }
+    const until = returnedAt === null ? Date.now() : returnedAt;
+    return {
+      focused: returnedAt !== null,
+      lostAt: new Date(lostAt).toISOString(),
+      awaySeconds: Math.round((until - lostAt) / 1000)
+    };
+  }
+
+  // The monitor has raised a warning for the focus loss; forget it once the player is back
+  function acknowledgeFocusLoss() {
+    if (returnedAt !== null) {
+      lostAt = null;
+      returnedAt = null;
+    }
+  }
+
+  return {
+    engage,
+    release,
+    getFocusStatus,
+    acknowledgeFocusLoss,
+    isEngaged: () => engaged
+  };
+}
+
+module.exports = { createLockdown, setWindowFullScreen };
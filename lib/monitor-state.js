@@ -0,0 +1,115 @@
+// Session monitoring state machine
+//   ok -> suspect -> warning -> terminated
+// - suspect: a rule is failing, but not yet for debounceChecks consecutive checks
+//   (a single missed camera probe or a conferencing hiccup never warns)
+// - warning: the player has the shortest grace period among the failing rules to fix it
+// - terminated: the grace period ran out with a rule still failing, a warning
+//   was needed after the session's strike budget was used up, or there is no
+//   grace period at all (0 seconds)
+// Every warning is a strike. Time comes from an injectable clock ({ now() } in ms),
+// so the machine can be driven step by step with a fake clock.
+
+const systemClock = { now: () => Date.now() };
+
+function createMonitorStateMachine({
+  debounceChecks = 1,
+  strikeBudget = null,
+  // Strikes already used, when a session resumes after a relaunch
+  initialStrikes = 0,
+  getDebounceChecks = () => debounceChecks,
+  getGraceSeconds,
+  clock = systemClock,
+  onTransition = () => {}
+}) {
+  let state = 'ok';
+  let strikes = initialStrikes;
+  let deadline = null;
+  let failures = [];
+  // Consecutive failed checks per rule id
+  let streaks = {};
+
+  function transition(to, reason) {
+    const from = state;
+    state = to;
+    onTransition({ from, to, reason, failures, strikes, deadline });
+  }
+
+  function secondsLeft() {
+    return deadline === null ? null : Math.max(0, Math.ceil((deadline - clock.now()) / 1000));
+  }
+
+  function startWarning() {
+    strikes++;
+    if (strikeBudget !== null && strikes > strikeBudget) {
+      deadline = null;
+      transition('terminated', 'strike-budget');
+      return;
+    }
+    const graceSeconds = Math.min(...failures.map(failure => getGraceSeconds(failure.id)));
+    if (graceSeconds <= 0) {
+      deadline = null;
+      transition('terminated', 'no-grace');
+      return;
+    }
+    deadline = clock.now() + graceSeconds * 1000;
+    transition('warning', 'debounced');
+  }
+
+  // Feed the result of a session rule evaluation; returns the current state
+  function observe(evaluation) {
+    if (state === 'terminated') return state;
+
+    failures = evaluation.failures;
+    const nextStreaks = {};
+    for (const failure of failures) {
+      nextStreaks[failure.id] = (streaks[failure.id] || 0) + 1;
+    }
+    streaks = nextStreaks;
+
+    if (failures.length === 0) {
+      if (state !== 'ok') {
+        deadline = null;
+        transition('ok', 'resolved');
+      }
+      return state;
+    }
+
+    if (state === 'warning') {
+      if (clock.now() >= deadline) {
+        transition('terminated', 'grace-expired');
+      }
+      return state;
+    }
+
+    const confirmed = failures.some(failure => streaks[failure.id] >= getDebounceChecks(failure.id));
+    if (confirmed) {
+      startWarning();
+    } else if (state === 'ok') {
+      transition('suspect', 'failing');
+    }
+    return state;
+  }
+
+  // Arbiter overrides
+  function extend(seconds) {
+    if (state === 'warning') {
+      deadline += seconds * 1000;
+    }
+  }
+
+  function dismiss() {
+    if (state === 'terminated' || state === 'ok') return;
+    streaks = {};
+    failures = [];
+    deadline = null;
+    transition('ok', 'dismissed');
+  }
+
+  function getSnapshot() {
+    return { state, strikes, strikeBudget, failures, secondsLeft: secondsLeft() };
+  }
+
+  return { observe, extend, dismiss, getSnapshot, getState: () => state, secondsLeft };
+}
+
+module.exports = { createMonitorStateMachine };
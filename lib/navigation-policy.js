@@ -0,0 +1,98 @@
+// Navigation policy for the kiosk window
+// URLs are parsed, never substring-matched: 'chess.com.evil.example' or
+// '?q=chess.com' do not count as chess.com.
+// - allowedSites: host names; subdomains are included ('chess.com' allows 'www.chess.com')
+// - allowedPaths: if non-empty, only these paths (and everything below them) are allowed
+// - blockedPaths: never allowed, even when also listed in allowedPaths
+// Path patterns match whole segments and may use '*' for one segment: '/game/*/review'.
+// Paths are normalised before matching the way servers read them: percent-decoded,
+// ';params' dropped from each segment and repeated slashes collapsed, so
+// '/%61nalysis', '//analysis' and '/analysis;x' are all '/analysis'.
+// App pages (file: URLs inside the app directory) are always allowed.
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// '/game/*' matches '/game/123' and '/game/123/moves' but not '/games'
+function compilePathPattern(pattern) {
+  const normalized = pattern.replace(/\/+$/, '') || '/';
+  if (normalized === '/') {
+    return /^\//;
+  }
+  const source = normalized.split('/').map(segment => segment === '*' ? '[^/]+' : escapeRegExp(segment)).join('/');
+  return new RegExp(`^${source}(?:/|$)`, 'i');
+}
+
+// The path a server will act on, or null when it cannot be decoded
+function normalizePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  return decoded
+    .split('/')
+    .map(segment => segment.replace(/;.*$/, ''))
+    .join('/')
+    .replace(/\/{2,}/g, '/');
+}
+
+function isHostAllowed(hostname, allowedSites) {
+  const host = hostname.toLowerCase();
+  return allowedSites.some(site => {
+    const allowed = site.toLowerCase();
+    return host === allowed || host.endsWith(`.${allowed}`);
+  });
+}
+
+function createNavigationPolicy({ allowedSites, allowedPaths = [], blockedPaths = [], appDirectory }) {
+  const allowedPatterns = allowedPaths.map(compilePathPattern);
+  const blockedPatterns = blockedPaths.map(compilePathPattern);
+  const appRoot = path.resolve(appDirectory) + path.sep;
+
+  // Returns { allowed, reason }
+  function check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'invalid URL' };
+    }
+
+    if (parsed.protocol === 'file:') {
+      const filePath = path.resolve(fileURLToPath(parsed));
+      return filePath.startsWith(appRoot)
+        ? { allowed: true, reason: 'app page' }
+        : { allowed: false, reason: 'local file outside the app' };
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      return { allowed: false, reason: `${parsed.protocol} URLs are not allowed` };
+    }
+    if (!isHostAllowed(parsed.hostname, allowedSites)) {
+      return { allowed: false, reason: `site not allowed: ${parsed.hostname}` };
+    }
+
+    const pathname = normalizePath(parsed.pathname);
+    if (pathname === null) {
+      return { allowed: false, reason: `undecodable path: ${parsed.pathname}` };
+    }
+    const blocked = blockedPaths.find((pattern, i) => blockedPatterns[i].test(pathname));
+    if (blocked) {
+      return { allowed: false, reason: `blocked page: ${blocked}` };
+    }
+    if (allowedPatterns.length > 0 && pathname !== '/' && !allowedPatterns.some(pattern => pattern.test(pathname))) {
+      return { allowed: false, reason: `page not allowed: ${pathname}` };
+    }
+    return { allowed: true, reason: 'allowed site' };
+  }
+
+  return { check, isHostAllowed: (hostname) => isHostAllowed(hostname, allowedSites) };
+}
+
+module.exports = { createNavigationPolicy };
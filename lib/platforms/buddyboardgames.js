@@ -0,0 +1,22 @@
+// Buddy Board Games, used for testing without a chess account
+
+module.exports = {
+  id: 'buddyboardgames',
+  name: 'Buddy Board Games (testing)',
+  startUrl: 'https://buddyboardgames.com/',
+  allowedSites: ['buddyboardgames.com'],
+  allowedPaths: [],
+  blockedPaths: [],
+  overlay: {
+    endButton: 'top-right',
+    banner: 'bottom-left'
+  },
+  game: {
+    urlPatterns: [],
+    activeSelector: null,
+    overSelector: null,
+    moveSelector: null,
+    opponentSelector: null,
+    accountSelector: null
+  }
+};
@@ -0,0 +1,26 @@
+// Chess.com
+
+module.exports = {
+  id: 'chess-com',
+  name: 'Chess.com',
+  startUrl: 'https://www.chess.com',
+  allowedSites: ['chess.com'],
+  allowedPaths: [],
+  blockedPaths: ['/analysis', '/explorer', '/openings', '/computer', '/play/computer', '/practice'],
+  overlay: {
+    endButton: 'top-right',
+    banner: 'bottom-left'
+  },
+  game: {
+    // Path patterns of a game page; the first capture group is the game id
+    urlPatterns: ['^/game/live/(\\d+)', '^/game/daily/(\\d+)', '^/game/(\\d+)', '^/live/game/(\\d+)'],
+    // Present while a game is being played / once it has ended
+    activeSelector: '.clock-component.clock-running, .clock-component.clock-player-turn',
+    overSelector: '.game-over-modal-content, .board-modal-container .game-over-header-component',
+    moveSelector: 'wc-simple-move-list .node, .move-list .node',
+    opponentSelector: '#board-layout-player-top .cc-user-username-component, #board-layout-player-top .user-username-component',
+    // Signed-in username next to the avatar in the home page header (the players on
+    // the board can be anyone: a flipped board, a game being watched)
+    accountSelector: '.home-username-link'
+  }
+};
@@ -0,0 +1,77 @@
+// Chess platform profiles
+// A profile describes one chess site:
+// - startUrl: where the proctored session opens
+// - allowedSites/allowedPaths/blockedPaths: its navigation rules (see navigation-policy)
+// - overlay: corners for the End Proctor button and Proctored banner
+// - game: how to recognise a game page and whether a game is in progress;
+//   moveSelector/opponentSelector are optional (moves counted, opponent's name);
+//   accountSelector finds the signed-in username in the site's own header or menus,
+//   never on the board, for the player-account rule
+// Event policies choose which profiles players may pick and can add custom ones
+// (e.g. a chess24-style site) under platforms.custom using the same fields.
+
+const BUILT_IN_PLATFORMS = [
+  require('./chess-com'),
+  require('./lichess'),
+  require('./buddyboardgames')
+];
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Fill in optional fields of a custom profile
+function normalizeProfile(profile) {
+  return {
+    allowedPaths: [],
+    blockedPaths: [],
+    ...profile,
+    overlay: { endButton: 'top-right', banner: 'bottom-left', ...profile.overlay },
+    game: { urlPatterns: [], activeSelector: null, overSelector: null, moveSelector: null, opponentSelector: null, accountSelector: null, ...profile.game }
+  };
+}
+
+// Returns an error message, or null when the profile is usable
+function validateProfile(profile) {
+  if (!profile || typeof profile.id !== 'string' || !profile.id) {
+    return 'platform profiles need an id';
+  }
+  if (typeof profile.name !== 'string' || !profile.name) {
+    return `platform ${profile.id} needs a name`;
+  }
+  try {
+    const startUrl = new URL(profile.startUrl);
+    if (startUrl.protocol !== 'https:' && startUrl.protocol !== 'http:') {
+      return `platform ${profile.id} startUrl must be an http or https URL`;
+    }
+  } catch {
+    return `platform ${profile.id} startUrl must be a URL`;
+  }
+  if (!Array.isArray(profile.allowedSites) || profile.allowedSites.length === 0) {
+    return `platform ${profile.id} needs allowedSites`;
+  }
+  for (const key of ['endButton', 'banner']) {
+    if (profile.overlay && profile.overlay[key] !== undefined && !CORNERS.includes(profile.overlay[key])) {
+      return `platform ${profile.id} overlay.${key} must be one of: ${CORNERS.join(', ')}`;
+    }
+  }
+  for (const pattern of (profile.game && profile.game.urlPatterns) || []) {
+    try {
+      new RegExp(pattern);
+    } catch {
+      return `platform ${profile.id} has an invalid game URL pattern: ${pattern}`;
+    }
+  }
+  return null;
+}
+
+// All profiles a policy knows about: built-in ones plus its custom ones
+function getAllPlatforms(platformsPolicy) {
+  return BUILT_IN_PLATFORMS.concat((platformsPolicy.custom || []).map(normalizeProfile));
+}
+
+// Profiles the policy lets players choose from, in the policy's order
+function getAvailablePlatforms(platformsPolicy) {
+  const all = getAllPlatforms(platformsPolicy);
+  return platformsPolicy.available.map(id => all.find(profile => profile.id === id)).filter(Boolean);
+}
+
+module.exports = { getAllPlatforms, getAvailablePlatforms, validateProfile };
@@ -0,0 +1,26 @@
+// Lichess
+
+module.exports = {
+  id: 'lichess',
+  name: 'Lichess',
+  startUrl: 'https://lichess.org',
+  allowedSites: ['lichess.org'],
+  allowedPaths: [],
+  blockedPaths: ['/analysis', '/editor', '/study', '/opening', '/practice', '/setup/ai'],
+  overlay: {
+    // Lichess keeps its account menu in the top-right corner
+    endButton: 'bottom-right',
+    banner: 'bottom-left'
+  },
+  game: {
+    // Game ids are 8 characters, followed by 4 more on a player's own link;
+    // site sections with 8-letter names are not games
+    urlPatterns: ['^/(?!(?:analysis|training|practice|streamer|insights|tutorial)\\b)([a-zA-Z0-9]{8})(?:[a-zA-Z0-9]{4})?(?:/(?:white|black))?$'],
+    activeSelector: '.rclock.running',
+    overSelector: '.result-wrap',
+    moveSelector: 'rm6 kwdb, l4x kwdb',
+    opponentSelector: '.ruser-top .user-link',
+    // Signed-in username in the site header, on every page
+    accountSelector: '#user_tag'
+  }
+};
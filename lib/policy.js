@@ -0,0 +1,319 @@
+// Event policy loading for ChessLock
+// A policy decides which fair-play rules apply and how strict they are.
+// Sources, in order of precedence:
+// 1. --policy=<path> on the command line
+// 2. the bundled policy/default.json
+// An external policy must be pinned with --policy-sha256=<hex> on the same command
+// line. The expected checksum is never read from disk: the player can write any
+// file the app can read, including a checksum stored next to their own policy.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { providerIds } = require('./conferencing');
+const { getAllPlatforms, validateProfile } = require('./platforms');
+const { parsePassphraseHash } = require('./arbiter');
+const { forbiddenAppIds } = require('./forbidden-apps');
+const { validateSchedule } = require('./schedule');
+const { validateCheckIn } = require('./roster');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'policy', 'default.json');
+
+// Stricter or more lenient settings while a game is live and between games
+const GAME_PHASES = ['duringGame', 'betweenGames'];
+
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+// Read a --name=value or --name value flag from argv
+function getFlag(argv, name) {
+  const prefix = `--${name}=`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith(prefix)) {
+      return argv[i].slice(prefix.length);
+    }
+    if (argv[i] === `--${name}` && i + 1 < argv.length) {
+      return argv[i + 1];
+    }
+  }
+  return null;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Accepts a bare hex digest or `sha256sum` output ("<hex>  <file>")
+function parseChecksum(text) {
+  const match = /^\s*([a-f0-9]{64})\b/i.exec(text);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function readExpectedChecksum(argv) {
+  const flag = getFlag(argv, 'policy-sha256');
+  if (!flag) return null;
+  const checksum = parseChecksum(flag);
+  if (!checksum) {
+    throw new PolicyError('--policy-sha256 must be a 64-character hex digest');
+  }
+  return checksum;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Overlay an event policy on the defaults; arrays replace rather than merge
+function mergePolicy(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergePolicy(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function assertPositiveNumber(value, name) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new PolicyError(`${name} must be a positive number`);
+  }
+}
+
+function assertPositiveInteger(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new PolicyError(`${name} must be a whole number of at least 1`);
+  }
+}
+
+function validatePolicy(policy, knownRuleIds) {
+  assertPositiveNumber(policy.monitor.intervalSeconds, 'monitor.intervalSeconds');
+  assertPositiveNumber(policy.monitor.resolveIntervalSeconds, 'monitor.resolveIntervalSeconds');
+  assertPositiveInteger(policy.monitor.debounceChecks, 'monitor.debounceChecks');
+  assertPositiveNumber(policy.monitor.probeTimeoutSeconds, 'monitor.probeTimeoutSeconds');
+  if (typeof policy.monitor.probeCacheSeconds !== 'number' || policy.monitor.probeCacheSeconds < 0) {
+    throw new PolicyError('monitor.probeCacheSeconds must be zero or a positive number');
+  }
+  assertPositiveNumber(policy.monitor.watchedProbeCacheSeconds, 'monitor.watchedProbeCacheSeconds');
+  if (policy.monitor.strikeBudget !== null && !(Number.isInteger(policy.monitor.strikeBudget) && policy.monitor.strikeBudget >= 0)) {
+    throw new PolicyError('monitor.strikeBudget must be null (unlimited) or a whole number');
+  }
+  assertPositiveNumber(policy.warning.countdownSeconds, 'warning.countdownSeconds');
+  if (typeof policy.games.blockEndProctorDuringGame !== 'boolean') {
+    throw new PolicyError('games.blockEndProctorDuringGame must be true or false');
+  }
+  for (const phase of GAME_PHASES) {
+    const options = policy.games[phase];
+    if (!isPlainObject(options)) {
+      throw new PolicyError(`games.${phase} must be an object`);
+    }
+    // 0 seconds of grace terminates as soon as a violation is confirmed
+    if (options.graceSeconds !== null && options.graceSeconds !== undefined &&
+        (typeof options.graceSeconds !== 'number' || options.graceSeconds < 0)) {
+      throw new PolicyError(`games.${phase}.graceSeconds must be null or a number of seconds`);
+    }
+    if (options.debounceChecks !== null && options.debounceChecks !== undefined) {
+      assertPositiveInteger(options.debounceChecks, `games.${phase}.debounceChecks`);
+    }
+  }
+  assertPositiveNumber(policy.endProctor.countdownSeconds, 'endProctor.countdownSeconds');
+
+  if (!providerIds.includes(policy.conferencing.provider)) {
+    throw new PolicyError(`conferencing.provider must be one of: ${providerIds.join(', ')}`);
+  }
+
+  if (policy.arbiter.passphraseHash !== null && !parsePassphraseHash(policy.arbiter.passphraseHash)) {
+    throw new PolicyError('arbiter.passphraseHash must look like scrypt:<length>:<salt>:<hex> (see npm run hash-passphrase)');
+  }
+  assertPositiveNumber(policy.arbiter.extendGraceSeconds, 'arbiter.extendGraceSeconds');
+
+  if (policy.capture.enabled) {
+    assertPositiveNumber(policy.capture.intervalSeconds, 'capture.intervalSeconds');
+    assertPositiveInteger(policy.capture.maxWidth, 'capture.maxWidth');
+    if (!Number.isInteger(policy.capture.quality) || policy.capture.quality < 1 || policy.capture.quality > 100) {
+      throw new PolicyError('capture.quality must be a whole number from 1 to 100');
+    }
+  }
+
+  if (typeof policy.recovery.resumeOnRelaunch !== 'boolean') {
+    throw new PolicyError('recovery.resumeOnRelaunch must be true or false');
+  }
+  assertPositiveNumber(policy.recovery.maxResumeGapSeconds, 'recovery.maxResumeGapSeconds');
+
+  if (policy.reporting.enabled) {
+    assertPositiveNumber(policy.reporting.heartbeatSeconds, 'reporting.heartbeatSeconds');
+    let endpoint;
+    try {
+      endpoint = new URL(policy.reporting.endpoint);
+    } catch {
+      throw new PolicyError('reporting.endpoint must be a URL');
+    }
+    if (!['http:', 'https:'].includes(endpoint.protocol)) {
+      throw new PolicyError('reporting.endpoint must be an http or https URL');
+    }
+  }
+
+  for (const key of ['allowedSites', 'allowedPaths', 'blockedPaths']) {
+    const list = policy.navigation[key];
+    if (!Array.isArray(list) || list.some(entry => typeof entry !== 'string')) {
+      throw new PolicyError(`navigation.${key} must be a list of strings`);
+    }
+  }
+  if (policy.navigation.allowedPaths.concat(policy.navigation.blockedPaths).some(entry => !entry.startsWith('/'))) {
+    throw new PolicyError('navigation paths must start with /');
+  }
+
+  const scheduleError = validateSchedule(policy.schedule);
+  if (scheduleError) {
+    throw new PolicyError(scheduleError);
+  }
+
+  if (!Array.isArray(policy.platforms.custom)) {
+    throw new PolicyError('platforms.custom must be a list of platform profiles');
+  }
+  for (const profile of policy.platforms.custom) {
+    const error = validateProfile(profile);
+    if (error) {
+      throw new PolicyError(error);
+    }
+  }
+  const platformIds = getAllPlatforms(policy.platforms).map(profile => profile.id);
+  if (!Array.isArray(policy.platforms.available) || policy.platforms.available.length === 0) {
+    throw new PolicyError('platforms.available must list at least one platform');
+  }
+  for (const id of policy.platforms.available) {
+    if (!platformIds.includes(id)) {
+      throw new PolicyError(`Unknown platform in platforms.available: ${id}`);
+    }
+  }
+  if (!policy.platforms.available.includes(policy.platforms.default)) {
+    throw new PolicyError('platforms.default must be one of platforms.available');
+  }
+
+  const checkInError = validateCheckIn(policy.checkIn, platformIds);
+  if (checkInError) {
+    throw new PolicyError(checkInError);
+  }
+
+  for (const [id, options] of Object.entries(policy.rules)) {
+    if (!knownRuleIds.includes(id)) {
+      throw new PolicyError(`Unknown rule in policy: ${id}`);
+    }
+    if (!isPlainObject(options)) {
+      throw new PolicyError(`rules.${id} must be an object`);
+    }
+    if (options.graceSeconds !== undefined) {
+      assertPositiveNumber(options.graceSeconds, `rules.${id}.graceSeconds`);
+    }
+    if (options.debounceChecks !== undefined) {
+      assertPositiveInteger(options.debounceChecks, `rules.${id}.debounceChecks`);
+    }
+    if (options.allowedDevices !== undefined && !Array.isArray(options.allowedDevices)) {
+      throw new PolicyError(`rules.${id}.allowedDevices must be a list`);
+    }
+  }
+
+  validateForbiddenApps(policy.rules['forbidden-apps']);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+function validateForbiddenApps(options) {
+  if (!options) return;
+  if (options.allowedApps !== undefined) {
+    if (!isStringList(options.allowedApps)) {
+      throw new PolicyError('rules.forbidden-apps.allowedApps must be a list of app ids');
+    }
+    const unknown = options.allowedApps.find(id => !forbiddenAppIds.includes(id));
+    if (unknown) {
+      throw new PolicyError(`Unknown app in rules.forbidden-apps.allowedApps: ${unknown} (known: ${forbiddenAppIds.join(', ')})`);
+    }
+  }
+  if (options.extraApps !== undefined && !Array.isArray(options.extraApps)) {
+    throw new PolicyError('rules.forbidden-apps.extraApps must be a list');
+  }
+  for (const [i, app] of (options.extraApps || []).entries()) {
+    const name = `rules.forbidden-apps.extraApps[${i}]`;
+    if (!isPlainObject(app) || typeof app.name !== 'string' || !app.name) {
+      throw new PolicyError(`${name} needs a name`);
+    }
+    if ((app.processes !== undefined && !isStringList(app.processes)) || (app.windowTitles !== undefined && !isStringList(app.windowTitles))) {
+      throw new PolicyError(`${name}.processes and .windowTitles must be lists of strings`);
+    }
+    if ((app.processes || []).length === 0 && (app.windowTitles || []).length === 0) {
+      throw new PolicyError(`${name} needs processes or windowTitles to recognise it by`);
+    }
+  }
+}
+
+function readJson(filePath, content) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new PolicyError(`Policy is not valid JSON (${filePath}): ${err.message}`);
+  }
+}
+
+// Find, verify and parse the event policy
+function loadPolicy({ argv = process.argv, knownRuleIds }) {
+  const defaults = readJson(DEFAULT_POLICY_PATH, fs.readFileSync(DEFAULT_POLICY_PATH, 'utf8'));
+
+  let policyPath = getFlag(argv, 'policy');
+
+  let policy = defaults;
+  let source = DEFAULT_POLICY_PATH;
+  let hash = sha256(fs.readFileSync(DEFAULT_POLICY_PATH));
+
+  if (policyPath) {
+    policyPath = path.resolve(policyPath);
+    if (!fs.existsSync(policyPath)) {
+      throw new PolicyError(`Policy file not found: ${policyPath}`);
+    }
+    const content = fs.readFileSync(policyPath);
+    const expected = readExpectedChecksum(argv);
+    if (!expected) {
+      throw new PolicyError(`No checksum provided for ${policyPath} (use --policy-sha256)`);
+    }
+    hash = sha256(content);
+    if (hash !== expected) {
+      throw new PolicyError(`Policy checksum mismatch for ${policyPath}`);
+    }
+    policy = mergePolicy(defaults, readJson(policyPath, content.toString('utf8')));
+    source = policyPath;
+  }
+
+  validatePolicy(policy, knownRuleIds);
+  return { policy, source, hash };
+}
+
+// A game phase's setting, or undefined when the phase leaves it to the rule
+function getPhaseSetting(policy, phase, key) {
+  const options = phase ? policy.games[phase] : null;
+  return options && options[key] !== null && options[key] !== undefined ? options[key] : undefined;
+}
+
+// Effective grace period for a rule, in seconds
+// phase ('duringGame' or 'betweenGames') settings win over the rule's own
+function getGraceSeconds(policy, ruleId, phase = null) {
+  const phaseSetting = getPhaseSetting(policy, phase, 'graceSeconds');
+  if (phaseSetting !== undefined) return phaseSetting;
+  const options = policy.rules[ruleId] || {};
+  return options.graceSeconds !== undefined ? options.graceSeconds : policy.warning.countdownSeconds;
+}
+
+// Consecutive failed checks before a rule raises a warning
+function getDebounceChecks(policy, ruleId, phase = null) {
+  const phaseSetting = getPhaseSetting(policy, phase, 'debounceChecks');
+  if (phaseSetting !== undefined) return phaseSetting;
+  const options = policy.rules[ruleId] || {};
+  return options.debounceChecks !== undefined ? options.debounceChecks : policy.monitor.debounceChecks;
+}
+
+module.exports = { loadPolicy, getGraceSeconds, getDebounceChecks, PolicyError };
@@ -0,0 +1,78 @@
+// Probe scheduler
+// The start screen, the monitor and the warning's resolve loop all read probes
+// through one scheduler, so slow commands (system_profiler, ioreg, PowerShell)
+// never run more than once at a time:
+// - in-flight runs are shared: a probe still running is not started again
+// - results are cached for cacheSeconds, so back-to-back evaluations see one snapshot
+// - a probe slower than timeoutSeconds fails (its rules fail closed); the slow
+//   command is left to finish, and is not restarted until it does
+// - watched probes (whose hardware reports its own changes) are cached for
+//   watchedCacheSeconds instead, and re-run early when invalidated by a change
+// Failures are never cached. Probes run concurrently; nothing here serialises them.
+
+const systemClock = { now: () => Date.now() };
+
+function createProbeScheduler({ probes, timeoutSeconds, cacheSeconds, watchedCacheSeconds = cacheSeconds, clock = systemClock }) {
+  // name -> { value, time }
+  const cache = {};
+  const watched = new Set();
+  // name -> invalidation count, so a run that started before a change is not cached
+  const generations = {};
+  // name -> promise of the running probe
+  const inFlight = {};
+
+  function withTimeout(name, promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Probe timed out: ${name}`)), timeoutSeconds * 1000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function run(name) {
+    const cached = cache[name];
+    const maxAge = watched.has(name) ? watchedCacheSeconds : cacheSeconds;
+    if (cached && clock.now() - cached.time < maxAge * 1000) {
+      return Promise.resolve(cached.value);
+    }
+    if (!inFlight[name]) {
+      const generation = generations[name];
+      inFlight[name] = Promise.resolve()
+        .then(() => probes[name]())
+        .then((value) => {
+          if (generations[name] === generation) {
+            cache[name] = { value, time: clock.now() };
+          }
+          return value;
+        })
+        .finally(() => {
+          delete inFlight[name];
+        });
+    }
+    return withTimeout(name, inFlight[name]);
+  }
+
+  // Drop a cached result so the next read runs the probe again
+  function invalidate(name) {
+    delete cache[name];
+    generations[name] = (generations[name] || 0) + 1;
+  }
+
+  function watch(name) {
+    watched.add(name);
+  }
+
+  function unwatch(name) {
+    watched.delete(name);
+  }
+
+  // Same shape as the probes passed in, for the rule engine
+  const scheduled = {};
+  for (const name of Object.keys(probes)) {
+    scheduled[name] = () => run(name);
+  }
+
+  return { probes: scheduled, invalidate, watch, unwatch };
+}
+
+module.exports = { createProbeScheduler };
@@ -0,0 +1,140 @@
+// macOS probes
+// Probes that cannot read the machine throw, so their rules fail as
+// 'Unable to check' instead of passing.
+
+const path = require('path');
+const { exec, execFile } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+const { parseSystemProfilerUsb, isExternalDevice } = require('../usb-inventory');
+const { parseSystemProfilerBluetooth } = require('../bluetooth-inventory');
+const { parseSystemProfilerDisplays } = require('../display-inventory');
+
+// Running processes as { pid, name, cmdline }
+async function listProcesses() {
+  // comm is the executable path on macOS; args is the full command line
+  const [{ stdout: comms }, { stdout: args }] = await Promise.all([
+    execAsync('ps -axo pid=,comm=', { maxBuffer: 16 * 1024 * 1024 }),
+    execAsync('ps -axo pid=,args=', { maxBuffer: 16 * 1024 * 1024 })
+  ]);
+  const cmdlines = new Map();
+  for (const line of args.split('\n')) {
+    const match = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (match) cmdlines.set(match[1], match[2]);
+  }
+  const processes = [];
+  for (const line of comms.split('\n')) {
+    const match = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (match) {
+      processes.push({ pid: match[1], name: path.basename(match[2]), cmdline: cmdlines.get(match[1]) || '' });
+    }
+  }
+  return processes;
+}
+
+// Titles of on-screen windows (needs Accessibility permission; empty without it)
+async function listWindowTitles() {
+  try {
+    const { stdout } = await execAsync(
+      `osascript -l JavaScript -e 'JSON.stringify(Application("System Events").processes.windows.name())'`
+    );
+    return JSON.parse(stdout).flat().filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+}
+
+// Check if any camera is actively streaming using IORegistry
+async function isCameraInUse() {
+  try {
+    const { stdout: ioregOutput } = await execAsync(
+      'ioreg -l | grep -E "CameraStreaming|CameraActive" | grep -i "Yes" || echo ""'
+    );
+    return ioregOutput.trim().length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// Files and libraries held open by processes with this command name (lsof -c)
+// lsof exits with 1 and prints nothing when no such process runs
+async function listOpenFiles(command) {
+  try {
+    const { stdout } = await execFileAsync('lsof', ['-c', command, '-F', 'n'], { maxBuffer: 16 * 1024 * 1024 });
+    return stdout.split('\n').filter(line => line.startsWith('n')).map(line => line.slice(1));
+  } catch (err) {
+    if (err.code === 1 && !err.stdout) return [];
+    throw err;
+  }
+}
+
+// Check if Bluetooth is enabled and which devices are connected (macOS)
+// Throws when system_profiler can't be read: the power state alone can't tell
+// approved devices from others
+async function checkBluetooth() {
+  const { stdout } = await execAsync('system_profiler SPBluetoothDataType -json 2>/dev/null', { maxBuffer: 16 * 1024 * 1024 });
+  return parseSystemProfilerBluetooth(stdout);
+}
+
+// List all USB devices from system_profiler's structured output
+// Throws when neither data type can be read, so the USB rule reports it
+async function getUsbInventory() {
+  const problems = [];
+  // macOS 15 replaced SPUSBDataType with SPUSBHostDataType
+  for (const dataType of ['SPUSBDataType', 'SPUSBHostDataType']) {
+    try {
+      const { stdout } = await execAsync(`system_profiler ${dataType} -json 2>/dev/null`, { maxBuffer: 16 * 1024 * 1024 });
+      const data = JSON.parse(stdout);
+      // Every Mac has at least one bus; an empty list means this data type isn't supported
+      if (Array.isArray(data[dataType]) && data[dataType].length > 0) {
+        return parseSystemProfilerUsb(data);
+      }
+      problems.push(`${dataType}: no USB buses listed`);
+    } catch (err) {
+      problems.push(`${dataType}: ${err.message}`);
+    }
+  }
+  throw new Error(`Unable to list USB devices (${problems.join('; ')})`);
+}
+
+// Get external USB devices (excluding built-in devices and hubs)
+async function getExternalUsbDevices() {
+  const devices = await getUsbInventory();
+  return devices.filter(isExternalDevice);
+}
+
+// Display hardware, including mirrored, Sidecar and AirPlay displays
+async function listDisplayHardware() {
+  const { stdout } = await execAsync('system_profiler SPDisplaysDataType -json 2>/dev/null', { maxBuffer: 16 * 1024 * 1024 });
+  return parseSystemProfilerDisplays(stdout);
+}
+
+// Hardware model and hypervisor flag (kern.hv_vmm_present is 1 inside a VM)
+async function getMachineInfo() {
+  const { stdout: model } = await execAsync('sysctl -n hw.model');
+  let hypervisor = false;
+  try {
+    const { stdout } = await execAsync('sysctl -n kern.hv_vmm_present');
+    hypervisor = stdout.trim() === '1';
+  } catch {
+    // Older macOS without the flag; the model still gives most VMs away
+  }
+  return { model: model.trim(), manufacturer: null, hypervisor };
+}
+
+// There is no command-line source of USB or Bluetooth change notifications on
+// macOS, so both stay polled
+const deviceWatchers = [];
+
+module.exports = {
+  listProcesses,
+  listWindowTitles,
+  isCameraInUse,
+  listOpenFiles,
+  checkBluetooth,
+  getExternalUsbDevices,
+  listDisplayHardware,
+  getMachineInfo,
+  deviceWatchers
+};
@@ -0,0 +1,139 @@
+// System probes for ChessLock
+// Each probe gathers raw state from the machine; rules decide what it means.
+// The OS-specific work lives in one module per platform, selected at runtime.
+
+const { screen } = require('electron');
+const { getProvider, detectConference } = require('../conferencing');
+const { startCommandWatcher } = require('../device-watch');
+const { getForbiddenApps, detectForbiddenApps } = require('../forbidden-apps');
+const { detectVirtualMachine } = require('../vm-detection');
+
+const PLATFORM_MODULES = {
+  darwin: './darwin',
+  linux: './linux',
+  win32: './win32'
+};
+
+function loadPlatformProbes(platform) {
+  const modulePath = PLATFORM_MODULES[platform];
+  if (!modulePath) {
+    // Unknown platforms fail every probe, so every rule fails closed
+    const unsupported = async () => {
+      throw new Error(`Unsupported platform: ${platform}`);
+    };
+    return {
+      listProcesses: unsupported,
+      listWindowTitles: unsupported,
+      listWindowedProcesses: unsupported,
+      isCameraInUse: unsupported,
+      listOpenFiles: unsupported,
+      checkBluetooth: unsupported,
+      getExternalUsbDevices: unsupported,
+      listDisplayHardware: unsupported,
+      getMachineInfo: unsupported,
+      deviceWatchers: []
+    };
+  }
+  return require(modulePath);
+}
+
+const platformProbes = loadPlatformProbes(process.platform);
+
+// Primitives conferencing providers and forbidden apps are detected with
+const system = {
+  platform: process.platform,
+  listProcesses: platformProbes.listProcesses,
+  listWindowTitles: platformProbes.listWindowTitles,
+  // Windows only; forbidden apps only ask for it there
+  listWindowedProcesses: platformProbes.listWindowedProcesses,
+  isCameraInUse: platformProbes.isCameraInUse,
+  // macOS and Linux only; providers only ask for it there
+  listOpenFiles: platformProbes.listOpenFiles
+};
+
+// Count connected displays
+async function checkDisplays() {
+  const displays = screen.getAllDisplays();
+  return { count: displays.length };
+}
+
+// Electron's view of each display, next to the OS's list of display hardware
+async function checkDisplayInfo() {
+  const hardware = await platformProbes.listDisplayHardware();
+  const displays = screen.getAllDisplays().map(display => ({
+    label: display.label,
+    internal: display.internal,
+    displayFrequency: display.displayFrequency,
+    scaleFactor: display.scaleFactor
+  }));
+  return { displays, hardware };
+}
+
+// Whether ChessLock runs inside a virtual machine; that can't change mid-session,
+// so the first successful answer is kept
+let machineCheck = null;
+
+async function checkMachine() {
+  if (!machineCheck) {
+    machineCheck = detectVirtualMachine(await platformProbes.getMachineInfo());
+  }
+  return machineCheck;
+}
+
+// Check if any USB devices are connected
+async function checkUsbDevices() {
+  const devices = await platformProbes.getExternalUsbDevices();
+  return { 
+    hasUsbDevices: devices.length > 0,
+    count: devices.length,
+    devices
+  };
+}
+
+// Probes by name, as referenced by each rule's `probe` field
+function createProbes(policy) {
+  const provider = getProvider(policy.conferencing.provider);
+  const forbiddenApps = getForbiddenApps(policy.rules['forbidden-apps'], { allowBrowsers: Boolean(provider.browser) });
+  return {
+    displays: checkDisplays,
+    conference: () => detectConference(provider, system),
+    bluetooth: platformProbes.checkBluetooth,
+    usb: checkUsbDevices,
+    displayInfo: checkDisplayInfo,
+    machine: checkMachine,
+    forbiddenApps: () => detectForbiddenApps(forbiddenApps, system)
+  };
+}
+
+// Subscribe to hardware changes: displays through Electron, USB and Bluetooth through
+// the platform's watchers.
+// - onWatch(probes): these probes are now watched
+// - onChange(probe): the probe's result may have changed
+// - onUnavailable(probes): their watcher stopped, so they must be polled again
+function watchDevices({ onWatch, onChange, onUnavailable }) {
+  const onDisplaysChanged = () => {
+    onChange('displays');
+    onChange('displayInfo');
+  };
+  screen.on('display-added', onDisplaysChanged);
+  screen.on('display-removed', onDisplaysChanged);
+  onWatch(['displays', 'displayInfo']);
+
+  const commandWatchers = platformProbes.deviceWatchers.map((watcher) => {
+    onWatch(watcher.probes);
+    return startCommandWatcher(watcher, { onChange, onUnavailable });
+  });
+
+  function stop() {
+    screen.removeListener('display-added', onDisplaysChanged);
+    screen.removeListener('display-removed', onDisplaysChanged);
+    commandWatchers.forEach(watcher => watcher.stop());
+  }
+
+  return { stop };
+}
+
+// Hardware model as the firmware reports it, for the session attestation
+const getMachineInfo = platformProbes.getMachineInfo;
+
+module.exports = { createProbes, watchDevices, system, getMachineInfo };
@@ -0,0 +1,167 @@
+// Linux probes
+// Read /proc and /sys directly where possible instead of shelling out.
+// Probes that cannot read the machine throw, so their rules fail as
+// 'Unable to check' instead of passing.
+
+const fs = require('fs');
+const path = require('path');
+const { exec, execFile } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+const { readSysfsUsbDevices, isExternalDevice } = require('../usb-inventory');
+const { normalizeAddress } = require('../bluetooth-inventory');
+const { parseXrandr } = require('../display-inventory');
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+function listDirectory(directory) {
+  try {
+    return fs.readdirSync(directory);
+  } catch {
+    return [];
+  }
+}
+
+// Running processes as { pid, name, cmdline }
+async function listProcesses() {
+  return listDirectory('/proc')
+    .filter(entry => /^\d+$/.test(entry))
+    .map(pid => ({
+      pid,
+      name: readText(`/proc/${pid}/comm`),
+      cmdline: readText(`/proc/${pid}/cmdline`).replace(/\0/g, ' ')
+    }))
+    .filter(proc => proc.name);
+}
+
+// Names of X11 windows, including unmanaged ones such as Zoom's sharing toolbar
+async function listWindowTitles() {
+  try {
+    const { stdout } = await execAsync('xwininfo -root -tree 2>/dev/null', { maxBuffer: 16 * 1024 * 1024 });
+    const titles = [];
+    for (const match of stdout.matchAll(/^\s*0x[0-9a-f]+ "([^"]*)":/gmi)) {
+      titles.push(match[1]);
+    }
+    return titles;
+  } catch {
+    return [];
+  }
+}
+
+// Check whether any process has a V4L2 video device open
+async function isCameraInUse() {
+  for (const pid of listDirectory('/proc').filter(entry => /^\d+$/.test(entry))) {
+    const fdDirectory = `/proc/${pid}/fd`;
+    for (const fd of listDirectory(fdDirectory)) {
+      try {
+        if (/^\/dev\/video\d+$/.test(fs.readlinkSync(path.join(fdDirectory, fd)))) {
+          return true;
+        }
+      } catch {
+        // Process exited or fd not readable by this user
+      }
+    }
+  }
+  return false;
+}
+
+// Files and libraries held open by processes with this command name (lsof -c)
+// lsof exits with 1 and prints nothing when no such process runs
+async function listOpenFiles(command) {
+  try {
+    const { stdout } = await execFileAsync('lsof', ['-c', command, '-F', 'n'], { maxBuffer: 16 * 1024 * 1024 });
+    return stdout.split('\n').filter(line => line.startsWith('n')).map(line => line.slice(1));
+  } catch (err) {
+    if (err.code === 1 && !err.stdout) return [];
+    throw err;
+  }
+}
+
+// Check if Bluetooth is enabled and which devices are connected (Linux)
+async function checkBluetooth() {
+  // No adapter, or every adapter blocked by rfkill, means Bluetooth is off
+  if (listDirectory('/sys/class/bluetooth').length === 0) {
+    return { bluetoothEnabled: false, devices: [] };
+  }
+  const radios = listDirectory('/sys/class/rfkill')
+    .map(name => `/sys/class/rfkill/${name}`)
+    .filter(radio => readText(`${radio}/type`) === 'bluetooth');
+  if (radios.length > 0 && radios.every(radio => readText(`${radio}/soft`) === '1' || readText(`${radio}/hard`) === '1')) {
+    return { bluetoothEnabled: false, devices: [] };
+  }
+
+  // An unblocked adapter whose state bluetoothctl can't report throws: its devices are unknown
+  const { stdout } = await execAsync('bluetoothctl show 2>/dev/null | grep -i "Powered:"');
+  const bluetoothEnabled = /powered:\s*yes/i.test(stdout);
+
+  return { bluetoothEnabled, devices: bluetoothEnabled ? await getConnectedBluetoothDevices() : [] };
+}
+
+// Connected devices from bluetoothctl; the device icon stands in for its class
+async function getConnectedBluetoothDevices() {
+  const { stdout } = await execAsync('bluetoothctl devices Connected 2>/dev/null');
+  const devices = [];
+  for (const line of stdout.split('\n')) {
+    const match = /^Device\s+([0-9A-F:]{17})\s+(.*)$/i.exec(line.trim());
+    if (!match) continue;
+    const { stdout: info } = await execAsync(`bluetoothctl info ${match[1]} 2>/dev/null`);
+    const icon = /^\s*Icon:\s*(.+)$/mi.exec(info);
+    devices.push({ name: match[2], address: normalizeAddress(match[1]), type: icon ? icon[1].trim() : null });
+  }
+  return devices;
+}
+
+// Get external USB devices (excluding built-in devices and hubs)
+async function getExternalUsbDevices() {
+  return readSysfsUsbDevices('/sys/bus/usb/devices').filter(isExternalDevice);
+}
+
+// Connected X11 outputs (Wayland sessions list theirs through XWayland)
+async function listDisplayHardware() {
+  const { stdout } = await execAsync('xrandr --query 2>/dev/null');
+  return parseXrandr(stdout);
+}
+
+// Hardware model from DMI, and the CPU's hypervisor flag
+async function getMachineInfo() {
+  return {
+    model: readText('/sys/class/dmi/id/product_name'),
+    manufacturer: readText('/sys/class/dmi/id/sys_vendor'),
+    hypervisor: /^flags\s*:.*\bhypervisor\b/m.test(readText('/proc/cpuinfo'))
+  };
+}
+
+// udev announces USB hot-plug; BlueZ signals radio power and connection changes on D-Bus
+const deviceWatchers = [
+  {
+    probes: ['usb'],
+    command: 'udevadm',
+    args: ['monitor', '--udev', '--subsystem-match=usb'],
+    pattern: /^UDEV\s*\[/
+  },
+  {
+    probes: ['bluetooth'],
+    command: 'dbus-monitor',
+    args: ['--system', "type='signal',sender='org.bluez'"],
+    pattern: /^signal .*path=\/org\/bluez/
+  }
+];
+
+module.exports = {
+  listProcesses,
+  listWindowTitles,
+  isCameraInUse,
+  listOpenFiles,
+  checkBluetooth,
+  getExternalUsbDevices,
+  listDisplayHardware,
+  getMachineInfo,
+  deviceWatchers
+};
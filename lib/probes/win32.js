@@ -0,0 +1,186 @@
+// Windows probes
+// Probes that cannot read the machine throw, so their rules fail as
+// 'Unable to check' instead of passing.
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const { normalizeUsbId } = require('../usb-inventory');
+const { normalizeAddress } = require('../bluetooth-inventory');
+const { isVirtualName } = require('../display-inventory');
+
+// Devices built into the machine share this container id
+const LOCAL_MACHINE_CONTAINER = '{00000000-0000-0000-ffff-ffffffffffff}';
+
+const WEBCAM_CONSENT_KEY = 'HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\CapabilityAccessManager\\ConsentStore\\webcam';
+
+// Run a PowerShell snippet and return its stdout
+// Process lists with long browser and Electron command lines run to megabytes
+async function powershell(script) {
+  const encoded = Buffer.from(script, 'utf16le').toString('base64');
+  const { stdout } = await execAsync(`powershell -NoProfile -NonInteractive -EncodedCommand ${encoded}`, {
+    windowsHide: true,
+    maxBuffer: 16 * 1024 * 1024
+  });
+  return stdout;
+}
+
+// Running processes as { pid, name, cmdline }
+async function listProcesses() {
+  const stdout = await powershell(
+    "@(Get-CimInstance Win32_Process | " +
+    "ForEach-Object { [pscustomobject]@{ pid = [string]$_.ProcessId; name = $_.Name; cmdline = [string]$_.CommandLine } }) | " +
+    "ConvertTo-Json -Compress"
+  );
+  const parsed = stdout.trim() ? JSON.parse(stdout) : [];
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+// Titles of top-level application windows
+async function listWindowTitles() {
+  const stdout = await powershell(
+    "Get-Process | Where-Object { $_.MainWindowTitle } | Select-Object -ExpandProperty MainWindowTitle"
+  );
+  return stdout.split(/\r?\n/).map(title => title.trim()).filter(Boolean);
+}
+
+// Processes with a visible top-level window as { name, title }, for apps that
+// also run in the background without one
+async function listWindowedProcesses() {
+  const stdout = await powershell(
+    "@(Get-Process | Where-Object { $_.MainWindowTitle } | " +
+    "ForEach-Object { [pscustomobject]@{ name = $_.ProcessName + '.exe'; title = $_.MainWindowTitle } }) | " +
+    "ConvertTo-Json -Compress"
+  );
+  const parsed = stdout.trim() ? JSON.parse(stdout) : [];
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+// An app is using the webcam while its LastUsedTimeStop is 0
+async function isCameraInUse() {
+  try {
+    const { stdout } = await execAsync(`reg query "${WEBCAM_CONSENT_KEY}" /s`, { windowsHide: true });
+    return /LastUsedTimeStop\s+REG_QWORD\s+0x0\s*$/mi.test(stdout);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Check if Bluetooth is enabled and which devices are present (Windows)
+async function checkBluetooth() {
+  // A working Bluetooth radio shows up as a present device with status OK;
+  // BTHENUM/BTHLE entries are paired devices, which are reported as connected
+  // whenever Windows lists them as present (stricter than true connection state)
+  const stdout = await powershell(
+    "@(Get-PnpDevice -PresentOnly -Class Bluetooth -ErrorAction SilentlyContinue | " +
+    "Where-Object { $_.Status -eq 'OK' } | " +
+    "ForEach-Object { [pscustomobject]@{ name = $_.FriendlyName; instanceId = $_.InstanceId } }) | " +
+    "ConvertTo-Json -Compress"
+  );
+  const parsed = stdout.trim() ? JSON.parse(stdout) : [];
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const isPairedDevice = entry => /^(BTHENUM|BTHLE)/i.test(entry.instanceId);
+  const devices = entries.filter(isPairedDevice).map(entry => {
+    // Addresses appear as the last 12 hex digits of the instance id
+    const address = /([0-9A-F]{12})(?:_[0-9A-F]+)?$/i.exec(entry.instanceId);
+    return { name: entry.name, address: address ? normalizeAddress(address[1]) : null, type: null };
+  });
+  return { bluetoothEnabled: entries.some(entry => !isPairedDevice(entry)), devices };
+}
+
+// Get external USB devices (excluding hubs, interfaces and built-in devices)
+async function getExternalUsbDevices() {
+  const stdout = await powershell(
+    "Get-PnpDevice -PresentOnly | " +
+    "Where-Object { $_.InstanceId -like 'USB\\VID_*' -and $_.InstanceId -notlike '*&MI_*' -and $_.Service -notin @('usbhub', 'USBHUB3') } | " +
+    "ForEach-Object { [pscustomobject]@{ " +
+    "name = $_.FriendlyName; " +
+    "manufacturer = $_.Manufacturer; " +
+    "instanceId = $_.InstanceId; " +
+    "container = [string](Get-PnpDeviceProperty -InstanceId $_.InstanceId -KeyName DEVPKEY_Device_ContainerId).Data } } | " +
+    "ConvertTo-Json -Compress"
+  );
+  if (!stdout.trim()) {
+    return [];
+  }
+  // ConvertTo-Json emits a bare object when there is a single device
+  const parsed = JSON.parse(stdout);
+  const devices = Array.isArray(parsed) ? parsed : [parsed];
+  return devices
+    .filter(device => device.container.toLowerCase() !== LOCAL_MACHINE_CONTAINER)
+    .map(device => {
+      // Instance ids look like USB\VID_046D&PID_C52B\<serial or location>
+      const [, ids = '', tail = ''] = device.instanceId.split('\\');
+      const vendorMatch = /VID_([0-9A-F]{4})/i.exec(ids);
+      const productMatch = /PID_([0-9A-F]{4})/i.exec(ids);
+      return {
+        name: device.name || 'Unknown USB device',
+        manufacturer: device.manufacturer || null,
+        vendorId: vendorMatch ? normalizeUsbId(vendorMatch[1]) : null,
+        productId: productMatch ? normalizeUsbId(productMatch[1]) : null,
+        // Windows generates ids containing '&' for devices without a serial number
+        serial: tail && !tail.includes('&') ? tail : null,
+        locationId: device.instanceId,
+        builtIn: false,
+        hub: false
+      };
+    });
+}
+
+// Active monitors (EDID names) and display adapters, where virtual display drivers show up
+// Windows does not say which monitors are mirrored; the rule compares counts instead.
+async function listDisplayHardware() {
+  const stdout = await powershell(
+    "function Decode($codes) { ($codes | Where-Object { $_ -ne 0 } | ForEach-Object { [char]$_ }) -join '' }; " +
+    "$monitors = @(Get-CimInstance -Namespace root\\wmi -ClassName WmiMonitorID -ErrorAction SilentlyContinue | Where-Object Active | " +
+    "ForEach-Object { [pscustomobject]@{ name = (Decode $_.UserFriendlyName); vendor = (Decode $_.ManufacturerName) } }); " +
+    "$adapters = @(Get-CimInstance Win32_VideoController | ForEach-Object { [pscustomobject]@{ name = $_.Name } }); " +
+    "[pscustomobject]@{ monitors = $monitors; adapters = $adapters } | ConvertTo-Json -Compress -Depth 3"
+  );
+  const parsed = JSON.parse(stdout);
+  return {
+    displays: (parsed.monitors || []).map(monitor => ({
+      name: monitor.name || 'Unknown display',
+      vendor: monitor.vendor || null,
+      internal: null,
+      mirrored: false,
+      virtual: isVirtualName(monitor.name)
+    })),
+    adapters: (parsed.adapters || []).map(adapter => ({ name: adapter.name, virtual: isVirtualName(adapter.name) }))
+  };
+}
+
+// Hardware model as reported by the firmware
+async function getMachineInfo() {
+  const stdout = await powershell(
+    "$cs = Get-CimInstance Win32_ComputerSystem; [pscustomobject]@{ model = $cs.Model; manufacturer = $cs.Manufacturer } | ConvertTo-Json -Compress"
+  );
+  const parsed = JSON.parse(stdout);
+  return { model: parsed.model, manufacturer: parsed.manufacturer, hypervisor: false };
+}
+
+// Win32_DeviceChangeEvent fires when any device arrives or leaves, USB and Bluetooth alike
+const DEVICE_CHANGE_SCRIPT =
+  "Register-CimIndicationEvent -ClassName Win32_DeviceChangeEvent -SourceIdentifier DeviceChange | Out-Null; " +
+  "while ($true) { Wait-Event -SourceIdentifier DeviceChange | Remove-Event; [Console]::Out.WriteLine('device-change'); [Console]::Out.Flush() }";
+
+const deviceWatchers = [
+  {
+    probes: ['usb', 'bluetooth'],
+    command: 'powershell',
+    args: ['-NoProfile', '-NonInteractive', '-EncodedCommand', Buffer.from(DEVICE_CHANGE_SCRIPT, 'utf16le').toString('base64')],
+    pattern: /^device-change/
+  }
+];
+
+module.exports = {
+  listProcesses,
+  listWindowTitles,
+  listWindowedProcesses,
+  isCameraInUse,
+  checkBluetooth,
+  getExternalUsbDevices,
+  listDisplayHardware,
+  getMachineInfo,
+  deviceWatchers
+};
@@ -0,0 +1,83 @@
+// Live status reporting to a proctor dashboard
+// Session events are POSTed as JSON to the policy's reporting endpoint,
+// along with a periodic heartbeat so the dashboard can spot silent machines.
+// Every report carries the { seq, hash } of the latest session log entry, so the
+// dashboard keeps anchors for the log's hash chain off the player's machine.
+// Reporting never blocks or fails the session: network errors are only logged.
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+function createReporter({ endpoint, heartbeatSeconds, sessionId, player = `${os.userInfo().username}@${os.hostname()}` }) {
+  const url = new URL(endpoint);
+  const transport = url.protocol === 'https:' ? https : http;
+  const clientId = crypto.randomBytes(8).toString('hex');
+  let heartbeatInterval = null;
+  let lastCheck = null;
+  let lastError = null;
+  let seq = 0;
+  // Latest session log entry written: { seq, hash }
+  let logHead = null;
+
+  function post(body) {
+    const payload = JSON.stringify(body);
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      lastError = null;
+    });
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', (err) => {
+      // Only log when the error changes so an offline dashboard doesn't flood the console
+      if (lastError !== err.message) {
+        console.log('Reporting failed:', err.message);
+        lastError = err.message;
+      }
+    });
+    request.end(payload);
+  }
+
+  function send(type, data = {}) {
+    post({ clientId, sessionId, player, seq: seq++, time: new Date().toISOString(), type, data, log: logHead });
+  }
+
+  // Send a session event; check results are only sent when they change
+  // logEntry: the session log entry written for it, if any
+  function report(type, data = {}, logEntry = null) {
+    if (logEntry) {
+      logHead = { seq: logEntry.seq, hash: logEntry.hash };
+    }
+    if (type === 'check') {
+      const changed = !lastCheck || JSON.stringify(lastCheck.failures) !== JSON.stringify(data.failures);
+      lastCheck = data;
+      if (!changed) return;
+    }
+    send(type, data);
+  }
+
+  function start() {
+    send('heartbeat', { lastCheck });
+    heartbeatInterval = setInterval(() => send('heartbeat', { lastCheck }), heartbeatSeconds * 1000);
+  }
+
+  function stop() {
+    if (heartbeatInterval) {
+      clearInterval(heartbeatInterval);
+      heartbeatInterval = null;
+    }
+  }
+
+  return { report, start, stop, clientId };
+}
+
+module.exports = { createReporter };
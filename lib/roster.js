@@ -0,0 +1,83 @@
+// Event roster and player check-in
+//   "checkIn": {
+//     "roster": [{ "code": "A17", "name": "Jane Doe",
+//                  "usernames": { "chess-com": "JaneD", "lichess": "janedoe" } }]
+//   }
+// With a roster, players check in on the start screen before they can start:
+// their event code (typed, or scanned from a badge - scanners type like a keyboard)
+// and their username on the chosen platform must match one roster entry.
+// The checked-in player is shown in the Proctored banner, tagged on every session
+// log entry and reported to the dashboard, and the account seen at the board is
+// cross-checked against it (the player-account rule).
+// Without a roster nobody checks in and sessions stay anonymous.
+
+// Codes are compared ignoring case and surrounding spaces
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Usernames are case-insensitive on every supported site and never contain spaces;
+// '@name' is accepted too, and so is a title in front of it ('GM name') as sites show it
+function normalizeUsername(username) {
+  return String(username).trim().split(/\s+/).pop().replace(/^@/, '').toLowerCase();
+}
+
+function isSameAccount(expected, seen) {
+  return normalizeUsername(expected) === normalizeUsername(seen);
+}
+
+// Match a check-in against the roster
+// Returns { player: { code, name, username, platform } } or { error } (what to tell the player)
+function checkInPlayer(checkIn, { code, username, platformId }) {
+  if (!code || !code.trim() || !username || !username.trim()) {
+    return { error: 'Enter your event code and your username' };
+  }
+  const entry = checkIn.roster.find(candidate => normalizeCode(candidate.code) === normalizeCode(code));
+  if (!entry) {
+    return { error: 'Unknown event code. Check your badge or ask the arbiter.' };
+  }
+  const expected = entry.usernames[platformId];
+  if (!expected) {
+    return { error: 'You are not registered to play on this platform. Ask the arbiter.' };
+  }
+  if (!isSameAccount(expected, username)) {
+    return { error: 'This username is not the one registered for your event code' };
+  }
+  return { player: { code: entry.code, name: entry.name, username: expected, platform: platformId } };
+}
+
+// What is wrong with a policy's checkIn section, or null
+// platformIds: every platform the policy knows about
+function validateCheckIn(checkIn, platformIds) {
+  if (!Array.isArray(checkIn.roster)) {
+    return 'checkIn.roster must be a list';
+  }
+  const codes = new Set();
+  for (const [index, entry] of checkIn.roster.entries()) {
+    const name = `checkIn.roster[${index}]`;
+    if (!entry || typeof entry.code !== 'string' || entry.code.trim() === '') {
+      return `${name}.code must be a non-empty string`;
+    }
+    if (codes.has(normalizeCode(entry.code))) {
+      return `checkIn.roster has the event code ${entry.code} more than once`;
+    }
+    codes.add(normalizeCode(entry.code));
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+      return `${name}.name must be a non-empty string`;
+    }
+    if (!entry.usernames || typeof entry.usernames !== 'object' || Array.isArray(entry.usernames) || Object.keys(entry.usernames).length === 0) {
+      return `${name}.usernames must map platform ids to usernames`;
+    }
+    for (const [platformId, username] of Object.entries(entry.usernames)) {
+      if (!platformIds.includes(platformId)) {
+        return `Unknown platform in ${name}.usernames: ${platformId}`;
+      }
+      if (typeof username !== 'string' || normalizeUsername(username) === '') {
+        return `${name}.usernames.${platformId} must be a non-empty string`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { checkInPlayer, isSameAccount, validateCheckIn };
@@ -0,0 +1,77 @@
+// Fair-play rule engine
+// A rule is { id, probe, severity, title, fix, message, check }:
+// - probe: name of the probe whose result the rule inspects
+// - severity: 'critical' rules are enforced during the session,
+//   'preflight' rules only gate the start screen
+// - title: the requirement, as listed on the start screen checklist
+// - fix: instructions for the player when the rule fails
+// - message: user-facing text (or a function of the probe result and options)
+// - check: returns true when the probe result is compliant
+// - options: per-event settings from the policy, passed to check and message
+// - details: optional, lists what the rule looked at as [{ label, allowed }]
+
+const SCOPE_SEVERITIES = {
+  preflight: ['critical', 'preflight'],
+  session: ['critical']
+};
+
+function createRuleEngine({ rules, probes }) {
+  // Run each probe needed by the given rules once, even if several rules share it
+  async function runProbes(activeRules) {
+    const names = [...new Set(activeRules.map(rule => rule.probe))];
+    const results = {};
+    await Promise.all(names.map(async (name) => {
+      const probe = probes[name];
+      if (!probe) {
+        results[name] = { error: `Unknown probe: ${name}` };
+        return;
+      }
+      try {
+        results[name] = { value: await probe() };
+      } catch (err) {
+        results[name] = { error: err.message };
+      }
+    }));
+    return results;
+  }
+
+  function describeRule(rule) {
+    return { id: rule.id, severity: rule.severity, title: rule.title || rule.id, fix: rule.fix || null };
+  }
+
+  function activeRulesFor(scope) {
+    const severities = SCOPE_SEVERITIES[scope] || SCOPE_SEVERITIES.session;
+    return rules.filter(rule => severities.includes(rule.severity));
+  }
+
+  // The requirements checked for a scope, without running any probes
+  function describe({ scope = 'session' } = {}) {
+    return activeRulesFor(scope).map(describeRule);
+  }
+
+  function evaluateRule(rule, probeResult) {
+    if (probeResult.error) {
+      // A probe that cannot run is treated as a failure, never a silent pass
+      return { ...describeRule(rule), passed: false, message: `Unable to check: ${rule.id}`, error: probeResult.error };
+    }
+    const value = probeResult.value;
+    const options = rule.options || {};
+    const passed = Boolean(rule.check(value, options));
+    const message = typeof rule.message === 'function' ? rule.message(value, options) : rule.message;
+    const details = rule.details ? rule.details(value, options) : [];
+    return { ...describeRule(rule), passed, message: passed ? null : message, details };
+  }
+
+  // Evaluate the rule set for a scope ('preflight' or 'session')
+  async function evaluate({ scope = 'session' } = {}) {
+    const activeRules = activeRulesFor(scope);
+    const probeResults = await runProbes(activeRules);
+    const results = activeRules.map(rule => evaluateRule(rule, probeResults[rule.probe]));
+    const failures = results.filter(result => !result.passed);
+    return { passed: failures.length === 0, results, failures };
+  }
+
+  return { evaluate, describe, rules };
+}
+
+module.exports = { createRuleEngine };
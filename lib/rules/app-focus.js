@@ -0,0 +1,13 @@
+// The player must stay in ChessLock for the whole session: switching to another
+// app (Alt+Tab, Mission Control, a notification) counts even when they come straight back
+module.exports = {
+  id: 'app-focus',
+  probe: 'focus',
+  severity: 'critical',
+  title: 'ChessLock stays in front',
+  fix: 'Click the ChessLock window and stay in it until the session is over.',
+  message: (result) => result.focused
+    ? `You left ChessLock for ${result.awaySeconds} second(s)`
+    : 'Return to ChessLock: another app is in front of it',
+  check: (result) => result.focused && result.lostAt === null
+};
@@ -0,0 +1,49 @@
+// Bluetooth must be off, unless the policy allows specific devices
+// options.allowedDevices entries match a connected device by address or type:
+//   { "address": "AA:BB:CC:DD:EE:FF", "label": "Player's hearing aid" }
+//   { "type": "Hearing Aid" } (device class as reported by the OS, case-insensitive)
+// With an allowlist the radio may stay on, but every connected device must be allowed.
+
+const { normalizeAddress } = require('../bluetooth-inventory');
+
+function matches(device, allowed) {
+  if (allowed.address) {
+    return normalizeAddress(allowed.address) === device.address;
+  }
+  return Boolean(allowed.type) && Boolean(device.type) && device.type.toLowerCase() === allowed.type.toLowerCase();
+}
+
+function isAllowed(device, allowedDevices) {
+  return allowedDevices.some(allowed => matches(device, allowed));
+}
+
+function blockedDevices(result, options) {
+  const allowedDevices = options.allowedDevices || [];
+  return (result.devices || []).filter(device => !isAllowed(device, allowedDevices));
+}
+
+function hasAllowlist(options) {
+  return (options.allowedDevices || []).length > 0;
+}
+
+module.exports = {
+  id: 'bluetooth',
+  probe: 'bluetooth',
+  severity: 'critical',
+  title: 'Bluetooth off',
+  fix: 'Turn Bluetooth off in your system settings, or disconnect every device the event has not approved.',
+  message: (result, options) => {
+    const blocked = blockedDevices(result, options);
+    return hasAllowlist(options) && blocked.length > 0
+      ? `Disconnect Bluetooth device: ${blocked.map(device => device.name).join(', ')}`
+      : 'Turn off Bluetooth';
+  },
+  check: (result, options) => {
+    if (!result.bluetoothEnabled) return true;
+    return hasAllowlist(options) && blockedDevices(result, options).length === 0;
+  },
+  details: (result, options) => (result.devices || []).map(device => ({
+    label: `Bluetooth: ${device.name}${device.type ? ` (${device.type})` : ''}`,
+    allowed: isAllowed(device, options.allowedDevices || [])
+  }))
+};
@@ -0,0 +1,12 @@
+// The event's conferencing app must be running with the camera streaming
+module.exports = {
+  id: 'conference-camera',
+  probe: 'conference',
+  severity: 'critical',
+  title: 'Video call camera on',
+  fix: 'Join the event\'s video call and start your camera so the arbiter can see you.',
+  message: (result) => result.running
+    ? `Turn on your ${result.providerName} camera`
+    : `Start ${result.providerName} with camera on`,
+  check: (result) => result.running && result.cameraInUse
+};
@@ -0,0 +1,12 @@
+// Screen must be shared in the conferencing app before the session starts
+// Only checked on the start screen; sharing detection is too unreliable to terminate on.
+// Providers whose sharing cannot be observed (screenSharing: null) are not blocked.
+module.exports = {
+  id: 'conference-screen-share',
+  probe: 'conference',
+  severity: 'preflight',
+  title: 'Screen shared in video call',
+  fix: 'Click Share Screen in the video call and share your entire screen.',
+  message: (result) => `Share your screen in ${result.providerName}`,
+  check: (result) => result.running && result.screenSharing !== false
+};
@@ -0,0 +1,10 @@
+// Only the built-in display may be connected
+module.exports = {
+  id: 'displays',
+  probe: 'displays',
+  severity: 'critical',
+  title: 'Single display',
+  fix: 'Unplug external monitors, TVs and projectors, and turn off display mirroring.',
+  message: 'Disconnect external display',
+  check: (result) => result.count <= 1
+};
@@ -0,0 +1,18 @@
+// No remote desktop tools, chess engines, second browsers, virtual cameras or
+// screen recorders may run; see lib/forbidden-apps.js for the list and policy options
+
+const { CATEGORIES } = require('../forbidden-apps');
+
+module.exports = {
+  id: 'forbidden-apps',
+  probe: 'forbiddenApps',
+  severity: 'critical',
+  title: 'No forbidden apps running',
+  fix: 'Quit remote desktop tools, chess engines and databases, other browsers, and virtual camera or recording apps.',
+  message: (result) => `Quit ${result.matches.map(match => match.name).join(', ')}`,
+  check: (result) => result.matches.length === 0,
+  details: (result) => result.matches.map(match => ({
+    label: `${match.name} (${CATEGORIES[match.category]}): ${match.evidence}`,
+    allowed: false
+  }))
+};
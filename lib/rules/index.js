@@ -0,0 +1,24 @@
+// Default fair-play rule set
+// Order matters: it is the order issues are reported in.
+
+const defaultRules = [
+  require('./usb'),
+  require('./bluetooth'),
+  require('./displays'),
+  require('./conference-camera'),
+  require('./conference-screen-share'),
+  require('./forbidden-apps'),
+  require('./virtual-displays'),
+  require('./virtual-machine'),
+  require('./app-focus'),
+  require('./player-account')
+];
+
+// Select the rules a policy enables and attach each rule's policy options
+function buildRuleSet(rulesPolicy, rules = defaultRules) {
+  return rules
+    .filter(rule => rulesPolicy[rule.id] && rulesPolicy[rule.id].enabled !== false)
+    .map(rule => ({ ...rule, options: rulesPolicy[rule.id] }));
+}
+
+module.exports = { defaultRules, buildRuleSet };
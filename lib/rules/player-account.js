@@ -0,0 +1,14 @@
+// The account at the board must be the one the player checked in with (see lib/roster),
+// so nobody else's account - or a stronger friend's - is played on
+const { isSameAccount } = require('../roster');
+
+module.exports = {
+  id: 'player-account',
+  probe: 'account',
+  severity: 'critical',
+  title: 'Playing on your own account',
+  fix: 'Sign out of the chess site and sign in with the account you checked in with.',
+  message: (result) => `Signed in as ${result.seen}, but checked in as ${result.expected}`,
+  // Nothing to compare before check-in or before the site has shown who is signed in
+  check: (result) => !result.expected || !result.seen || isSameAccount(result.expected, result.seen)
+};
@@ -0,0 +1,41 @@
+// No external USB devices may be connected, other than those the policy allows
+// options.allowedDevices entries match by id or by name:
+//   { "vendorId": "046d", "productId": "c52b", "label": "Logitech receiver" }
+//   { "vendorId": "046d" }  (any product from that vendor)
+//   { "name": "USB Audio" } (case-insensitive substring of the device name)
+
+const { normalizeUsbId } = require('../usb-inventory');
+
+function matches(device, allowed) {
+  if (allowed.vendorId) {
+    if (normalizeUsbId(allowed.vendorId) !== device.vendorId) return false;
+    return !allowed.productId || normalizeUsbId(allowed.productId) === device.productId;
+  }
+  return Boolean(allowed.name) && device.name.toLowerCase().includes(allowed.name.toLowerCase());
+}
+
+function isAllowed(device, allowedDevices) {
+  return allowedDevices.some(allowed => matches(device, allowed));
+}
+
+function blockedDevices(result, options) {
+  const allowedDevices = options.allowedDevices || [];
+  return (result.devices || []).filter(device => !isAllowed(device, allowedDevices));
+}
+
+module.exports = {
+  id: 'usb',
+  probe: 'usb',
+  severity: 'critical',
+  title: 'No external USB devices',
+  fix: 'Unplug USB drives, keyboards, mice, hubs and other accessories the event has not approved.',
+  message: (result, options) => {
+    const blocked = blockedDevices(result, options);
+    return blocked.length > 0 ? `Disconnect USB device: ${blocked.map(device => device.name).join(', ')}` : 'Disconnect all USB devices';
+  },
+  check: (result, options) => blockedDevices(result, options).length === 0,
+  details: (result, options) => (result.devices || []).map(device => ({
+    label: `USB: ${device.name}`,
+    allowed: isAllowed(device, options.allowedDevices || [])
+  }))
+};
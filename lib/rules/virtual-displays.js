@@ -0,0 +1,51 @@
+// No virtual, wireless or mirrored displays
+// The displays rule counts screens; this one catches what a count can't see:
+// Sidecar/AirPlay targets, virtual display drivers, mirroring (which Electron
+// reports as one display) and refresh rates no physical panel uses.
+
+const { isVirtualName } = require('../display-inventory');
+
+// Below this a "display" is almost certainly a capture or streaming target
+const MIN_REFRESH_HZ = 24;
+
+// Everything wrong with the displays, one line each
+function findings(result) {
+  const found = [];
+  for (const display of result.displays) {
+    if (isVirtualName(display.label)) {
+      found.push(`Virtual display: ${display.label}`);
+    } else if (display.displayFrequency > 0 && display.displayFrequency < MIN_REFRESH_HZ) {
+      found.push(`Unusual display refresh rate: ${display.label || 'display'} at ${display.displayFrequency} Hz`);
+    }
+  }
+  for (const display of result.hardware.displays) {
+    if (display.virtual && !found.some(line => line.includes(display.name))) {
+      found.push(`Virtual display: ${display.name}`);
+    }
+  }
+  for (const adapter of result.hardware.adapters) {
+    if (adapter.virtual) {
+      found.push(`Virtual display driver: ${adapter.name}`);
+    }
+  }
+  const mirrored = result.hardware.displays.some(display => display.mirrored) ||
+    result.hardware.displays.length > result.displays.length;
+  if (mirrored) {
+    found.push('Display mirroring is on');
+  }
+  return found;
+}
+
+module.exports = {
+  id: 'virtual-displays',
+  probe: 'displayInfo',
+  severity: 'critical',
+  title: 'No virtual or mirrored displays',
+  fix: 'Turn off display mirroring, disconnect Sidecar and AirPlay displays, and quit or uninstall virtual display software.',
+  message: (result) => findings(result).join('; '),
+  check: (result) => findings(result).length === 0,
+  details: (result) => result.hardware.displays.map(display => ({
+    label: `Display: ${display.name}${display.internal ? ' (built-in)' : ''}`,
+    allowed: !display.virtual && !display.mirrored
+  }))
+};
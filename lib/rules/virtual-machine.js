@@ -0,0 +1,12 @@
+// ChessLock must run directly on the player's computer, not inside a virtual machine
+// (an engine on the host would be invisible to every other check)
+module.exports = {
+  id: 'virtual-machine',
+  probe: 'machine',
+  severity: 'critical',
+  title: 'Not running in a virtual machine',
+  fix: 'Quit the virtual machine and run ChessLock directly on your computer.',
+  message: 'ChessLock is running inside a virtual machine',
+  check: (result) => !result.virtualMachine,
+  details: (result) => result.indicators.map(indicator => ({ label: indicator, allowed: false }))
+};
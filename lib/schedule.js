@@ -0,0 +1,121 @@
+// Event schedule: fixed rounds with check-in, start and end times
+//   "schedule": {
+//     "lateStartMinutes": 5,
+//     "rounds": [{ "name": "Round 1", "checkInOpens": "2026-03-07T09:30:00+01:00",
+//                  "start": "2026-03-07T10:00:00+01:00", "end": "2026-03-07T12:00:00+01:00" }]
+//   }
+// - the Start button unlocks when check-in opens and locks again lateStartMinutes
+//   after the round starts
+// - End Proctor is refused until the round's end (the arbiter can still end a session)
+// - the session ends by itself at the round's end
+// Once a session has started, its round end is counted on a monotonic clock, so
+// setting the system clock forward doesn't end the round early.
+// Without rounds there is no schedule: players start and end whenever they like.
+
+const { performance } = require('perf_hooks');
+
+// Rounds with times in ms, in start order
+function getRounds(schedule) {
+  return (schedule.rounds || [])
+    .map(round => ({
+      name: round.name,
+      checkInOpens: Date.parse(round.checkInOpens),
+      start: Date.parse(round.start),
+      end: Date.parse(round.end)
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function describeRound(round) {
+  return {
+    name: round.name,
+    checkInOpens: new Date(round.checkInOpens).toISOString(),
+    start: new Date(round.start).toISOString(),
+    end: new Date(round.end).toISOString()
+  };
+}
+
+// Where the schedule stands at a moment
+// Returns { scheduled, phase, canStart, round, nextChangeAt }:
+// - phase: 'unscheduled', 'before-check-in', 'check-in', 'late-check-in' (the round
+//   has started but players may still join), 'closed' (too late to join) or 'over'
+// - round: the current or next round, or null
+// - nextChangeAt: when the phase changes next (ISO time), or null
+function getScheduleStatus(schedule, now = Date.now()) {
+  const rounds = getRounds(schedule);
+  if (rounds.length === 0) {
+    return { scheduled: false, phase: 'unscheduled', canStart: true, round: null, nextChangeAt: null };
+  }
+  const round = rounds.find(candidate => now < candidate.end);
+  if (!round) {
+    return { scheduled: true, phase: 'over', canStart: false, round: null, nextChangeAt: null };
+  }
+
+  const lateUntil = Math.min(round.start + schedule.lateStartMinutes * 60 * 1000, round.end);
+  let phase;
+  let nextChangeAt;
+  if (now < round.checkInOpens) {
+    phase = 'before-check-in';
+    nextChangeAt = round.checkInOpens;
+  } else if (now < round.start) {
+    phase = 'check-in';
+    nextChangeAt = round.start;
+  } else if (now < lateUntil) {
+    phase = 'late-check-in';
+    nextChangeAt = lateUntil;
+  } else {
+    phase = 'closed';
+    nextChangeAt = round.end;
+  }
+  return {
+    scheduled: true,
+    phase,
+    canStart: phase === 'check-in' || phase === 'late-check-in',
+    round: describeRound(round),
+    nextChangeAt: new Date(nextChangeAt).toISOString()
+  };
+}
+
+// Time left in a session's round, read from the system clock once (at session start)
+// and counted down on a monotonic clock from then on
+// Returns { msLeft(), isOver() }
+function createRoundClock(round, { now = Date.now(), monotonicNow = () => performance.now() } = {}) {
+  const endsAt = monotonicNow() + (Date.parse(round.end) - now);
+  const msLeft = () => Math.max(0, endsAt - monotonicNow());
+  return { msLeft, isOver: () => msLeft() === 0 };
+}
+
+// What is wrong with a policy's schedule section, or null
+function validateSchedule(schedule) {
+  if (typeof schedule.lateStartMinutes !== 'number' || schedule.lateStartMinutes < 0) {
+    return 'schedule.lateStartMinutes must be a number of minutes (0 or more)';
+  }
+  if (!Array.isArray(schedule.rounds)) {
+    return 'schedule.rounds must be a list';
+  }
+  for (const [index, round] of schedule.rounds.entries()) {
+    const name = `schedule.rounds[${index}]`;
+    if (!round || typeof round.name !== 'string' || round.name.trim() === '') {
+      return `${name}.name must be a non-empty string`;
+    }
+    for (const key of ['checkInOpens', 'start', 'end']) {
+      // Times need a UTC offset: players and arbiters may be in different time zones
+      if (typeof round[key] !== 'string' || !/(Z|[+-]\d\d:\d\d)$/.test(round[key]) || Number.isNaN(Date.parse(round[key]))) {
+        return `${name}.${key} must be an ISO 8601 time with a UTC offset`;
+      }
+    }
+  }
+
+  const rounds = getRounds(schedule);
+  for (const [index, round] of rounds.entries()) {
+    if (!(round.checkInOpens <= round.start && round.start < round.end)) {
+      return `schedule round "${round.name}" must open check-in before it starts, and start before it ends`;
+    }
+    if (index > 0 && round.checkInOpens < rounds[index - 1].end) {
+      return `schedule round "${round.name}" opens check-in before "${rounds[index - 1].name}" ends`;
+    }
+  }
+  return null;
+}
+
+module.exports = { getScheduleStatus, createRoundClock, validateSchedule };
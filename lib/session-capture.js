@@ -0,0 +1,112 @@
+// Session screenshots for replay
+// Captures are JPEG files in <userData>/sessions/<sessionId>-captures/, next to the
+// session log, with an index.jsonl listing { time, reason, file, sha256 } in order.
+// Each capture is also recorded in the session log with its hash, so a replaced
+// image no longer matches the tamper-evident log.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = 'index.jsonl';
+
+function getCaptureDirectory(sessionsDirectory, sessionId) {
+  return path.join(sessionsDirectory, `${sessionId}-captures`);
+}
+
+// capture() resolves to the JPEG bytes of the screen to keep
+// onCapture(entry) is called after each capture is stored
+function createSessionCapture({ directory, capture, intervalSeconds, onCapture = () => {} }) {
+  fs.mkdirSync(directory, { recursive: true });
+  const indexPath = path.join(directory, INDEX_FILE);
+  let interval = null;
+  // Captures run one at a time, in order; pending counts the running one too
+  let queue = Promise.resolve();
+  let pending = 0;
+
+  async function takeCapture(reason) {
+    try {
+      const image = await capture();
+      const time = new Date().toISOString();
+      const file = `${time.replace(/[:.]/g, '-')}-${reason}.jpg`;
+      fs.writeFileSync(path.join(directory, file), image);
+      const entry = { time, reason, file, sha256: crypto.createHash('sha256').update(image).digest('hex') };
+      fs.appendFileSync(indexPath, JSON.stringify(entry) + '\n');
+      onCapture(entry);
+      return entry;
+    } catch (err) {
+      console.error('Screen capture failed:', err.message);
+      return null;
+    }
+  }
+
+  // Take one capture; resolves to its index entry, or null
+  // Captures for session events (warnings, navigation) wait for the one in progress;
+  // a periodic capture is skipped when another is already running or waiting
+  function snap(reason) {
+    if (reason === 'interval' && pending > 0) return Promise.resolve(null);
+    pending++;
+    const result = queue.then(() => takeCapture(reason)).finally(() => {
+      pending--;
+    });
+    queue = result;
+    return result;
+  }
+
+  function start() {
+    if (interval) return;
+    interval = setInterval(() => snap('interval'), intervalSeconds * 1000);
+  }
+
+  function stop() {
+    clearInterval(interval);
+    interval = null;
+  }
+
+  return { snap, start, stop, directory };
+}
+
+// Captures of a session, oldest first; unreadable index lines (a write cut short
+// by a crash) are skipped
+function listCaptures(directory) {
+  const indexPath = path.join(directory, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return [];
+  const captures = [];
+  for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      captures.push(JSON.parse(line));
+    } catch {
+      console.log(`Skipping unreadable capture index line in ${indexPath}`);
+    }
+  }
+  return captures;
+}
+
+// Sessions that have captures, most recent first
+function listCaptureSessions(sessionsDirectory) {
+  if (!fs.existsSync(sessionsDirectory)) return [];
+  return fs.readdirSync(sessionsDirectory)
+    .filter(name => name.endsWith('-captures'))
+    .map(name => {
+      const sessionId = name.slice(0, -'-captures'.length);
+      return { sessionId, count: listCaptures(path.join(sessionsDirectory, name)).length };
+    })
+    .filter(session => session.count > 0)
+    .sort((a, b) => b.sessionId.localeCompare(a.sessionId));
+}
+
+// Copy a session's captures next to an exported session log
+function exportCaptures(directory, destination) {
+  if (!fs.existsSync(directory)) return false;
+  fs.cpSync(directory, destination, { recursive: true });
+  return true;
+}
+
+module.exports = {
+  createSessionCapture,
+  getCaptureDirectory,
+  listCaptures,
+  listCaptureSessions,
+  exportCaptures
+};
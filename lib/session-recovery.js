@@ -0,0 +1,128 @@
+// Recovery of a proctored session after a crash or force-quit
+// While a session runs, <userData>/active-session.json records
+// { sessionId, logFile, startedAt, policyHash, platform, round, player, strikes }.
+// A normal end or a termination removes it, so finding it at launch means the
+// app went away mid-session. The session then either resumes (same log, an
+// 'session-interrupted' entry covering the gap) or, when it can't, the record
+// becomes a notice in <userData>/interrupted-sessions.json. Notices stay on the
+// start screen, across relaunches and later sessions, until an arbiter
+// acknowledges them.
+
+const fs = require('fs');
+const path = require('path');
+const { verifyAuditLog } = require('./audit-log');
+
+const RECORD_FILE = 'active-session.json';
+const NOTICES_FILE = 'interrupted-sessions.json';
+
+function getActiveSessionPath(userDataPath) {
+  return path.join(userDataPath, RECORD_FILE);
+}
+
+function getInterruptedSessionsPath(userDataPath) {
+  return path.join(userDataPath, NOTICES_FILE);
+}
+
+// Written to a temporary file first so a crash never leaves half a file
+function writeJsonAtomic(filePath, value) {
+  const temporary = `${filePath}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(value, null, 2));
+  fs.renameSync(temporary, filePath);
+}
+
+function saveActiveSession(filePath, record) {
+  writeJsonAtomic(filePath, record);
+}
+
+// The recorded session, or null (an unreadable record counts as a session
+// that can't be resumed, never as no session at all)
+function loadActiveSession(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return record && typeof record === 'object' ? record : { unreadable: true };
+  } catch {
+    return { unreadable: true };
+  }
+}
+
+function clearActiveSession(filePath) {
+  fs.rmSync(filePath, { force: true });
+}
+
+// Sessions that could not be resumed and no arbiter has acknowledged yet:
+// [{ sessionId, startedAt, lastEntryTime, reason, player }]
+function loadInterruptedSessions(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const notices = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (Array.isArray(notices)) return notices;
+  } catch {
+    // An unreadable list still has to reach the arbiter
+  }
+  return [{ sessionId: null, startedAt: null, lastEntryTime: null, reason: 'the list of interrupted sessions is unreadable', player: null }];
+}
+
+// Keep a notice until an arbiter acknowledges it; one per session
+function addInterruptedSession(filePath, notice) {
+  const notices = loadInterruptedSessions(filePath);
+  if (notice.sessionId && notices.some(existing => existing.sessionId === notice.sessionId)) {
+    return notices;
+  }
+  const updated = [...notices, notice];
+  writeJsonAtomic(filePath, updated);
+  return updated;
+}
+
+function acknowledgeInterruptedSessions(filePath) {
+  fs.rmSync(filePath, { force: true });
+}
+
+// Decide what to do with a recorded session at launch
+// Returns { action: 'resume' | 'notice' | 'discard', reason, gapSeconds, lastTime }
+// - discard: the log shows the session ended after all (the record was left behind)
+function assessInterruptedSession(record, { policyHash, platformIds, resumeOnRelaunch, maxResumeGapSeconds, now = Date.now() }) {
+  if (record.unreadable) {
+    return { action: 'notice', reason: 'the session record is unreadable', gapSeconds: null, lastTime: null };
+  }
+  if (!record.logFile || !fs.existsSync(record.logFile)) {
+    return { action: 'notice', reason: 'the session log is missing', gapSeconds: null, lastTime: null };
+  }
+
+  const verification = verifyAuditLog(record.logFile);
+  if (!verification.valid) {
+    return { action: 'notice', reason: `the session log does not verify (${verification.error})`, gapSeconds: null, lastTime: null };
+  }
+  if (verification.complete) {
+    return { action: 'discard', reason: 'the session ended normally', gapSeconds: null, lastTime: verification.lastTime };
+  }
+
+  const lastTime = verification.lastTime;
+  const gapSeconds = lastTime ? Math.max(0, Math.round((now - Date.parse(lastTime)) / 1000)) : null;
+  const notice = (reason) => ({ action: 'notice', reason, gapSeconds, lastTime });
+  if (!resumeOnRelaunch) {
+    return notice('the event policy does not resume sessions');
+  }
+  if (record.policyHash !== policyHash) {
+    return notice('the event policy changed since the session started');
+  }
+  if (!platformIds.includes(record.platform)) {
+    return notice(`the chess platform is no longer offered: ${record.platform}`);
+  }
+  if (gapSeconds === null || gapSeconds > maxResumeGapSeconds) {
+    return notice(`the session was interrupted for longer than ${maxResumeGapSeconds} seconds`);
+  }
+  return { action: 'resume', reason: 'relaunched during the session', gapSeconds, lastTime };
+}
+
+module.exports = {
+  getActiveSessionPath,
+  saveActiveSession,
+  loadActiveSession,
+  clearActiveSession,
+  assessInterruptedSession,
+  getInterruptedSessionsPath,
+  loadInterruptedSessions,
+  addInterruptedSession,
+  acknowledgeInterruptedSessions
+};
@@ -0,0 +1,127 @@
+// USB inventory from `system_profiler -json` (macOS) and sysfs (Linux)
+// Devices are classified from structured fields (built-in flag, bus position,
+// attached children) rather than from their names. Every platform's USB probe
+// reports devices in the same shape:
+// { name, manufacturer, vendorId, productId, serial, locationId, builtIn, hub }
+// with vendorId/productId as 4-digit lowercase hex ('046d').
+
+const fs = require('fs');
+const path = require('path');
+
+// Apple's vendor id; system_profiler reports it as "apple_vendor_id"
+const APPLE_VENDOR_ID = '05ac';
+
+// USB device class for hubs
+const USB_CLASS_HUB = '09';
+
+// Normalise "0x046d  (Logitech Inc.)", "0x46D", "046d" or 1133 to '046d'
+function normalizeUsbId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    return value.toString(16).padStart(4, '0');
+  }
+  const text = String(value).trim();
+  if (text === 'apple_vendor_id') {
+    return APPLE_VENDOR_ID;
+  }
+  const match = /^(?:0x([0-9a-f]{1,4})\b|([0-9a-f]{1,4})$)/i.exec(text);
+  return match ? (match[1] || match[2]).toLowerCase().padStart(4, '0') : null;
+}
+
+// Pick the first key present; field names differ between SPUSBDataType and SPUSBHostDataType
+function pick(item, keys) {
+  for (const key of keys) {
+    if (item[key] !== undefined && item[key] !== '') return item[key];
+  }
+  return null;
+}
+
+function isYes(value) {
+  return value === true || (typeof value === 'string' && /^(yes|true)$/i.test(value));
+}
+
+function toDevice(item) {
+  const children = Array.isArray(item._items) ? item._items : [];
+  return {
+    name: pick(item, ['_name', 'USBDeviceKeyProductName']) || 'Unknown USB device',
+    manufacturer: pick(item, ['manufacturer', 'USBDeviceKeyVendorName']),
+    vendorId: normalizeUsbId(pick(item, ['vendor_id', 'USBDeviceKeyVendorID'])),
+    productId: normalizeUsbId(pick(item, ['product_id', 'USBDeviceKeyProductID'])),
+    serial: pick(item, ['serial_num', 'USBDeviceKeySerialNumber']),
+    locationId: pick(item, ['location_id', 'USBDeviceKeyLocationID', 'USBKeyLocationID']),
+    builtIn: isYes(pick(item, ['Built-in_Device', 'built_in_device', 'USBDeviceKeyBuiltIn'])),
+    // A device other devices hang off is a hub; the devices behind it are listed separately
+    hub: children.length > 0
+  };
+}
+
+// Walk the device tree below each bus (the buses themselves are host controllers)
+function collectDevices(items, devices) {
+  for (const item of items) {
+    devices.push(toDevice(item));
+    if (Array.isArray(item._items)) {
+      collectDevices(item._items, devices);
+    }
+  }
+  return devices;
+}
+
+// Parse `system_profiler SPUSBDataType -json` or `SPUSBHostDataType -json` output
+function parseSystemProfilerUsb(output) {
+  const data = typeof output === 'string' ? JSON.parse(output) : output;
+  const buses = data.SPUSBDataType || data.SPUSBHostDataType || [];
+  const devices = [];
+  for (const bus of buses) {
+    collectDevices(Array.isArray(bus._items) ? bus._items : [], devices);
+  }
+  return devices;
+}
+
+function readAttribute(directory, name) {
+  try {
+    return fs.readFileSync(path.join(directory, name), 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+// A device is built in when the kernel says its port is fixed, or - since many
+// laptops report 'unknown' for internal cameras and Bluetooth adapters - when the
+// port is 'unknown' but ACPI describes it as wired to a device ('hardwired') or
+// not exposed as a socket ('not used')
+function isBuiltInSysfsDevice(removable, connectType) {
+  return removable === 'fixed' || (removable === 'unknown' && ['hardwired', 'not used'].includes(connectType));
+}
+
+// List USB devices from sysfs (/sys/bus/usb/devices); throws when it can't be read
+function readSysfsUsbDevices(devicesDirectory) {
+  return fs.readdirSync(devicesDirectory)
+    // Devices are named like "1-2" or "1-2.3"; "usb1" is a root hub and "1-2:1.0" an interface
+    .filter(name => /^\d+-[\d.]+$/.test(name))
+    .map(name => {
+      const device = path.join(devicesDirectory, name);
+      const vendorId = normalizeUsbId(readAttribute(device, 'idVendor'));
+      const productId = normalizeUsbId(readAttribute(device, 'idProduct'));
+      return {
+        name: readAttribute(device, 'product') || `USB device ${vendorId}:${productId}`,
+        manufacturer: readAttribute(device, 'manufacturer') || null,
+        vendorId,
+        productId,
+        serial: readAttribute(device, 'serial') || null,
+        locationId: name,
+        builtIn: isBuiltInSysfsDevice(readAttribute(device, 'removable'), readAttribute(device, 'port/connect_type')),
+        hub: readAttribute(device, 'bDeviceClass') === USB_CLASS_HUB
+      };
+    });
+}
+
+function isExternalDevice(device) {
+  return !device.builtIn && !device.hub;
+}
+
+module.exports = {
+  parseSystemProfilerUsb,
+  readSysfsUsbDevices,
+  normalizeUsbId,
+  isExternalDevice
+};
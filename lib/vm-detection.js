@@ -0,0 +1,37 @@
+// Virtual machine detection
+// Each platform reports { model, manufacturer, hypervisor }:
+// - model/manufacturer: the hardware model as firmware describes it
+//   ('VMware20,1', 'VirtualBox', 'Virtual Machine', 'VirtualMac2,1')
+// - hypervisor: true when the OS says it runs under a hypervisor (macOS
+//   kern.hv_vmm_present, the Linux cpuinfo 'hypervisor' flag). Windows hosts with
+//   virtualization-based security also run under Hyper-V, so Windows does not report it.
+
+const VM_MODEL_PATTERNS = [
+  /vmware/i,
+  /virtualbox/i,
+  /\bvbox/i,
+  /qemu/i,
+  /\bkvm\b/i,
+  /\bxen\b/i,
+  /parallels/i,
+  /virtual ?machine/i,
+  /virtualmac/i,
+  /bochs/i,
+  /bhyve/i
+];
+
+// Returns { virtualMachine, indicators: [text] }
+function detectVirtualMachine({ model, manufacturer, hypervisor }) {
+  const indicators = [];
+  for (const value of [model, manufacturer]) {
+    if (value && VM_MODEL_PATTERNS.some(pattern => pattern.test(value))) {
+      indicators.push(`Hardware: ${value}`);
+    }
+  }
+  if (hypervisor) {
+    indicators.push('Running under a hypervisor');
+  }
+  return { virtualMachine: indicators.length > 0, indicators };
+}
+
+module.exports = { detectVirtualMachine };
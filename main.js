@@ -1,9 +1,37 @@
-const { app, BrowserWindow, globalShortcut, Menu, powerSaveBlocker, ipcMain, screen, dialog, shell } = require('electron');
+const { app, BrowserWindow, globalShortcut, Menu, powerSaveBlocker, ipcMain, dialog, shell } = require('electron');
+const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const crypto = require('crypto');
 const { autoUpdater } = require('electron-updater');
+const { createProbes, watchDevices, system, getMachineInfo } = require('./lib/probes');
+const { defaultRules, buildRuleSet } = require('./lib/rules');
+const { createRuleEngine } = require('./lib/rule-engine');
+const { createProbeScheduler } = require('./lib/probe-scheduler');
+const { loadPolicy, getGraceSeconds, getDebounceChecks } = require('./lib/policy');
+const { createAuditLog, resumeAuditLog, exportAuditLog, listAuditLogs, getSessionsDirectory } = require('./lib/audit-log');
+const { createReporter } = require('./lib/reporter');
+const { createSessionCapture, getCaptureDirectory, listCaptures, listCaptureSessions, exportCaptures } = require('./lib/session-capture');
+const { createNavigationPolicy } = require('./lib/navigation-policy');
+const { getAvailablePlatforms } = require('./lib/platforms');
+const { createPassphraseDetector } = require('./lib/arbiter');
+const { createMonitorStateMachine } = require('./lib/monitor-state');
+const { createGameTracker } = require('./lib/game-tracker');
+const { createLockdown } = require('./lib/lockdown');
+const { getScheduleStatus, createRoundClock } = require('./lib/schedule');
+const { checkInPlayer } = require('./lib/roster');
+const { getAttestationPath, loadSigningKey, collectSnapshot, createAttestation, summarizeAttestation } = require('./lib/attestation');
+const {
+  getActiveSessionPath,
+  saveActiveSession,
+  loadActiveSession,
+  clearActiveSession,
+  assessInterruptedSession,
+  getInterruptedSessionsPath,
+  loadInterruptedSessions,
+  addInterruptedSession,
+  acknowledgeInterruptedSessions
+} = require('./lib/session-recovery');
+const { registerIpcHandlers, identifyPage, PAGE_WINDOWS } = require('./lib/ipc-contract');
 
 // Auto-updater configuration
 autoUpdater.autoDownload = true;
@@ -16,58 +44,21 @@ app.commandLine.appendSwitch('no-sandbox');
 // Disable the default menu
 Menu.setApplicationMenu(null);
 
-// TESTING MODE - set to true to use buddyboardgames.com instead of chess.com
-const TESTING_MODE = false;
-const GAME_URL = TESTING_MODE ? 'https://buddyboardgames.com/' : 'https://www.chess.com';
+// Event policy and the fair-play rules it enables (loaded once the app is ready)
+// The rule engine is shared by the start screen, the monitor and the warning flow
+let policy = null;
+let policyInfo = null;
+let ruleEngine = null;
+let probeScheduler = null;
+let deviceWatcher = null;
+let navigationPolicy = null;
 
-// Check if Zoom is running, using camera, and screen sharing (macOS)
-async function checkZoomCamera() {
-  try {
-    // Check if Zoom is running
-    const { stdout: psOutput } = await execAsync('pgrep -x zoom.us || pgrep -f "zoom.us" || echo ""');
-    const zoomRunning = psOutput.trim().length > 0;
-    
-    if (!zoomRunning) {
-      return { zoomRunning: false, cameraInUse: false, screenSharing: false };
-    }
-    
-    // Check if camera is actively streaming using IORegistry
-    let cameraInUse = false;
-    try {
-      const { stdout: ioregOutput } = await execAsync(
-        'ioreg -l | grep -E "CameraStreaming|CameraActive" | grep -i "Yes" || echo ""'
-      );
-      cameraInUse = ioregOutput.trim().length > 0;
-    } catch {
-      cameraInUse = false;
-    }
-    
-    // Check if Zoom is screen sharing
-    // Look for Zoom's screen sharing helper process or window server usage
-    let screenSharing = false;
-    try {
-      // Check for CaptureKit/screen capture activity or Zoom sharing process
-      const { stdout: shareOutput } = await execAsync(
-        'pgrep -f "zoomshare\|CptHost" || echo ""'
-      );
-      if (shareOutput.trim().length > 0) {
-        screenSharing = true;
-      } else {
-        // Alternative: check if Zoom has screen recording permission active
-        const { stdout: lsofOutput } = await execAsync(
-          'lsof -c zoom.us 2>/dev/null | grep -i "windowserver\|skylight" || echo ""'
-        );
-        screenSharing = lsofOutput.trim().length > 0;
-      }
-    } catch {
-      screenSharing = false;
-    }
-    
-    return { zoomRunning: true, cameraInUse, screenSharing };
-  } catch (err) {
-    return { zoomRunning: false, cameraInUse: false, screenSharing: false };
-  }
-}
+// Chess platform profiles the policy offers, and the one the session uses
+let availablePlatforms = [];
+let activePlatform = null;
+
+// Last main-frame URL the navigation policy allowed, to return to after a blocked in-page navigation
+let lastAllowedUrl = null;
 
 let mainWindow;
 let warningWindow = null;
@@ -81,93 +72,105 @@ let resolveCheckInterval = null;
 let isShowingWarning = false;
 let sessionTerminated = false;
 let proctorStarted = false;
+// Set while start-proctor re-runs the preflight checks
+let startingProctor = false;
+
+// ok -> suspect -> warning -> terminated, created at start-proctor
+let monitorState = null;
+
+// Game in progress on the chess site, as the preload reports it (created at start-proctor)
+let gameTracker = null;
+
+// Arbiter override: the passphrase opens a panel that can pause monitoring,
+// dismiss or extend a warning, or end the session without a termination
+let passphraseDetector = null;
+let arbiterWindow = null;
+let monitoringPaused = false;
+
+// Kiosk lockdown of the main window (see lib/lockdown)
+let lockdown = null;
 
 // Block system sleep/screen saver
 let powerSaveId = null;
 
-// Check if Bluetooth is enabled (macOS)
-async function checkBluetooth() {
-  try {
-    // Use system_profiler to check Bluetooth state
-    // Different macOS versions use different formats:
-    // - Older: "Bluetooth Power: On"
-    // - Newer: "State: On" under Bluetooth Controller
-    const { stdout } = await execAsync(
-      'system_profiler SPBluetoothDataType 2>/dev/null | grep -iE "(State|Bluetooth Power):" | head -1'
-    );
-    const isOn = stdout.toLowerCase().includes(': on');
-    return { bluetoothEnabled: isOn };
-  } catch (err) {
-    // If we can't check, assume it's off (fail-safe)
-    return { bluetoothEnabled: false };
+// Audit log, optional dashboard reporter and optional screen capture for the
+// current proctored session (all created at start-proctor)
+let auditLog = null;
+let reporter = null;
+let sessionCapture = null;
+
+// What a relaunch needs to resume the current session (see lib/session-recovery),
+// and the sessions earlier runs left unfinished and could not resume, until an
+// arbiter acknowledges them
+let activeSessionRecord = null;
+let interruptedSessions = [];
+
+// Scheduled round the session belongs to (null without a schedule), the time
+// left in it on a monotonic clock, and the timer that ends the session when the
+// round is over
+let sessionRound = null;
+let roundClock = null;
+let roundEndTimer = null;
+let roundEndDeferred = false;
+
+// Player checked in against the event roster (see lib/roster), or null when the
+// policy has no roster: { code, name, username, platform }
+let checkedInPlayer = null;
+
+// Summary of the signed start-of-session snapshot (see lib/attestation), once taken
+let attestationSummary = null;
+
+// Events arbiters need to see the screen for
+const CAPTURE_EVENTS = ['warning-shown', 'navigation', 'navigation-blocked', 'session-terminated'];
+
+function logEvent(type, data) {
+  // Tag everything that happens on a game page with the game it happened in
+  const gameId = gameTracker && gameTracker.getGameId();
+  if (gameId && !(data && data.gameId)) {
+    data = { ...data, gameId };
+  }
+  // and everything with the checked-in player's event code
+  if (checkedInPlayer) {
+    data = { ...data, player: checkedInPlayer.code };
+  }
+  let entry = null;
+  if (auditLog) {
+    try {
+      entry = auditLog.append(type, data);
+    } catch (err) {
+      console.error('Failed to write session log:', err.message);
+    }
+  }
+  // The entry's hash goes along, so the dashboard can anchor the log
+  if (reporter) {
+    reporter.report(type, data, entry);
+  }
+  if (sessionCapture && CAPTURE_EVENTS.includes(type)) {
+    sessionCapture.snap(type);
   }
 }
 
-// Get USB device count (excluding built-in devices)
-async function getUsbDeviceCount() {
-  try {
-    // Get USB data and look for actual external devices
-    // We look for devices that have a serial number or vendor ID (external devices typically have these)
-    // and exclude common internal devices
-    const { stdout } = await execAsync(
-      `system_profiler SPUSBDataType 2>/dev/null`
-    );
-    
-    // If no USB data at all, return 0
-    if (!stdout || stdout.trim() === '' || stdout.includes('No USB')) {
-      return 0;
-    }
-    
-    // Split into device blocks and count external ones
-    const lines = stdout.split('\n');
-    let externalDeviceCount = 0;
-    let currentDevice = '';
-    let isExternalDevice = false;
-    
-    for (const line of lines) {
-      // Device name lines start with 4 spaces then a letter (not more spaces)
-      if (/^    [A-Za-z]/.test(line) && !/^      /.test(line)) {
-        // Save previous device if it was external
-        if (isExternalDevice) {
-          externalDeviceCount++;
-        }
-        
-        currentDevice = line.trim().toLowerCase();
-        
-        // Skip known internal/built-in devices
-        const internalPatterns = [
-          'hub', 'internal', 'built-in', 'bluetooth', 'apple', 
-          'host controller', 'root hub', 'usb bus', 'usb 3', 'usb 2', 'usb3', 'usb2',
-          'bus', 'touch bar', 'ambient light sensor', 'facetime', 'headset', 
-          'card reader', 'trackpad', 'keyboard', 'ibridge', 'sensor', 'controller'
-        ];
-        
-        isExternalDevice = !internalPatterns.some(pattern => 
-          currentDevice.includes(pattern)
-        );
-      }
-    }
-    
-    // Check last device
-    if (isExternalDevice) {
-      externalDeviceCount++;
-    }
-    
-    return externalDeviceCount;
-  } catch (err) {
-    return 0;
+// The kiosk window as a scaled-down JPEG
+async function captureMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    throw new Error('No window to capture');
   }
+  const image = await mainWindow.webContents.capturePage();
+  const { width } = image.getSize();
+  const scaled = width > policy.capture.maxWidth ? image.resize({ width: policy.capture.maxWidth }) : image;
+  return scaled.toJPEG(policy.capture.quality);
 }
 
-// Check if any USB devices are connected
-async function checkUsbDevices() {
-  const count = await getUsbDeviceCount();
-  return { 
-    hasUsbDevices: count > 0,
-    count
-  };
+// Record the outcome of a rule evaluation
+function logCheck(evaluation, context) {
+  logEvent('check', {
+    context,
+    passed: evaluation.passed,
+    failures: evaluation.failures.map(failure => ({ id: failure.id, message: failure.message }))
+  });
 }
 
+// Simple fullscreen (no new Space) is macOS-only; other platforms use regular fullscreen
 function createWindow() {
   mainWindow = new BrowserWindow({
     fullscreen: false,
@@ -221,190 +224,724 @@ function createWindow() {
     mainWindow.show();
   });
 
-  // Keep window focused
-  mainWindow.on('blur', () => {
-    setTimeout(() => {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.focus();
-        mainWindow.setAlwaysOnTop(true);
-      }
-    }, 100);
+  // Kiosk mode and focus tracking for the proctored session (engaged at start-proctor)
+  lockdown = createLockdown({
+    window: mainWindow,
+    onFocusLost: handleFocusLost,
+    onFocusReturned: handleFocusReturned
   });
 
-  // Handle new windows - load game URLs in same window
+  // Handle new windows - load allowed URLs in same window, never open a second window
   mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    if (url.includes('chess.com') || url.includes('buddyboardgames.com')) {
+    if (checkNavigation(url, 'new-window')) {
       mainWindow.loadURL(url);
-      return { action: 'deny' };
     }
-    return { action: 'allow' };
+    return { action: 'deny' };
   });
 
-  // Handle Zoom camera check
-  ipcMain.handle('check-zoom-camera', async () => {
-    return await checkZoomCamera();
+  // Navigation restriction
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    console.log('Navigating to:', url);
+    if (!checkNavigation(url, 'navigate')) {
+      event.preventDefault();
+    }
   });
 
-  // Handle display check - returns number of displays
-  ipcMain.handle('check-displays', () => {
-    const displays = screen.getAllDisplays();
-    return { count: displays.length };
+  mainWindow.webContents.on('will-redirect', (event, url, isInPlace, isMainFrame) => {
+    if (isMainFrame && !checkNavigation(url, 'redirect')) {
+      event.preventDefault();
+    }
   });
-
-  // Handle Bluetooth check
-  ipcMain.handle('check-bluetooth', async () => {
-    return await checkBluetooth();
+  
+  mainWindow.webContents.on('did-navigate', (event, url) => {
+    console.log('Navigated to:', url);
+    lastAllowedUrl = url;
+    logEvent('navigation', { url });
   });
 
-  // Handle USB device check
-  ipcMain.handle('check-usb', async () => {
-    return await checkUsbDevices();
+  // In-page navigation (history.pushState) can't be cancelled, so undo it instead
+  mainWindow.webContents.on('did-navigate-in-page', (event, url, isMainFrame) => {
+    if (!isMainFrame) return;
+    console.log('In-page navigation:', url);
+    if (!checkNavigation(url, 'in-page')) {
+      if (lastAllowedUrl) {
+        mainWindow.loadURL(lastAllowedUrl);
+      }
+      return;
+    }
+    lastAllowedUrl = url;
+    logEvent('navigation', { url, inPage: true });
   });
 
-  // Handle app version request
-  ipcMain.handle('get-app-version', () => {
-    return app.getVersion();
+  // A crashed page mid-session is put back (the chess site, or the terminated
+  // screen) rather than leaving the player in front of a blank kiosk window
+  mainWindow.webContents.on('render-process-gone', (event, details) => {
+    if (!proctorStarted) return;
+    logEvent('renderer-crashed', { reason: details.reason, exitCode: details.exitCode, url: lastAllowedUrl });
+    if (sessionTerminated) {
+      mainWindow.loadFile('terminated.html');
+    } else {
+      mainWindow.loadURL(lastAllowedUrl || activePlatform.startUrl);
+    }
   });
 
-  // Handle update status request
-  ipcMain.handle('get-update-status', () => {
-    return updateStatus;
-  });
+}
 
-  // Handle start proctor button
-  ipcMain.on('start-proctor', async () => {
-    if (!proctorStarted) {
-      proctorStarted = true;
-      
-      console.log('Starting proctor mode...');
-      
-      // Lock down window
-      mainWindow.setClosable(false);
-      mainWindow.setMinimizable(false);
-      mainWindow.setMaximizable(false);
-      mainWindow.setMovable(false);
-      mainWindow.setResizable(false);
-      
-      // Set fullscreen first, then kiosk
-      mainWindow.setSimpleFullScreen(true);
-      mainWindow.setAlwaysOnTop(true, 'screen-saver');
-      
-      // Set kiosk after a brief delay to ensure it takes effect
-      setTimeout(() => {
-        mainWindow.setKiosk(false);
-        mainWindow.setClosable(false);
-        console.log('Kiosk:', mainWindow.isKiosk());
-        
-        // Start active monitoring
-        startActiveMonitoring();
-        
-      }, 100);
-      
-      console.log('Fullscreen:', mainWindow.isSimpleFullScreen());
-      
-      // Load game site
-      mainWindow.loadURL(GAME_URL);
-    }
+// Start the proctored session on the active platform
+// resume: { record, reason, gapSeconds, lastTime } to carry on a session interrupted
+// by a crash or force-quit (same log, strikes and round; the preflight is not repeated)
+// round: the scheduled round being played, if the policy has a schedule
+function startProctorSession(resume = null, round = null) {
+  proctorStarted = true;
+  sessionRound = resume ? resume.record.round || null : round;
+  roundClock = sessionRound ? createRoundClock(sessionRound) : null;
+  if (resume) {
+    checkedInPlayer = resume.record.player || null;
+  }
+  
+  console.log(resume ? 'Resuming proctor mode...' : 'Starting proctor mode...');
+  auditLog = resume
+    ? resumeAuditLog(resume.record.logFile)
+    : createAuditLog({ directory: getSessionsDirectory(app.getPath('userData')) });
+  if (policy.reporting.enabled) {
+    reporter = createReporter({
+      endpoint: policy.reporting.endpoint,
+      heartbeatSeconds: policy.reporting.heartbeatSeconds,
+      sessionId: auditLog.sessionId,
+      player: checkedInPlayer ? `${checkedInPlayer.name} (${checkedInPlayer.code})` : undefined
+    });
+    reporter.start();
+  }
+  if (policy.capture.enabled) {
+    sessionCapture = createSessionCapture({
+      directory: getCaptureDirectory(getSessionsDirectory(app.getPath('userData')), auditLog.sessionId),
+      capture: captureMainWindow,
+      intervalSeconds: policy.capture.intervalSeconds,
+      onCapture: (entry) => logEvent('screenshot', { reason: entry.reason, file: entry.file, sha256: entry.sha256 })
+    });
+    sessionCapture.start();
+  }
+  if (resume) {
+    logEvent('session-interrupted', { resumed: true, reason: resume.reason, gapSeconds: resume.gapSeconds, lastEntryTime: resume.lastTime });
+    logEvent('session-resumed', {
+      appVersion: app.getVersion(),
+      policyName: policy.name,
+      policyHash: policyInfo.hash,
+      strikes: resume.record.strikes
+    });
+    restoreAttestation();
+  } else {
+    logEvent('session-start', {
+      appVersion: app.getVersion(),
+      platform: process.platform,
+      policyName: policy.name,
+      policyHash: policyInfo.hash,
+      conferencingProvider: policy.conferencing.provider,
+      chessPlatform: activePlatform.id,
+      monitorIntervalSeconds: policy.monitor.intervalSeconds,
+      round: sessionRound,
+      checkIn: checkedInPlayer
+    });
+    recordAttestation();
+  }
+  console.log('Session log:', auditLog.filePath);
+  activeSessionRecord = resume ? { ...resume.record } : {
+    sessionId: auditLog.sessionId,
+    logFile: auditLog.filePath,
+    startedAt: new Date().toISOString(),
+    policyHash: policyInfo.hash,
+    platform: activePlatform.id,
+    round: sessionRound,
+    player: checkedInPlayer,
+    strikes: 0
+  };
+  saveSessionRecord();
+  gameTracker = createGameTracker({ onEvent: logEvent });
+  monitorState = createMonitorStateMachine({
+    strikeBudget: policy.monitor.strikeBudget,
+    initialStrikes: activeSessionRecord.strikes,
+    getDebounceChecks: (ruleId) => getDebounceChecks(policy, ruleId, getGamePhase()),
+    getGraceSeconds: (ruleId) => getGraceSeconds(policy, ruleId, getGamePhase()),
+    onTransition: handleMonitorTransition
   });
+  
+  // Lock down window
+  lockdown.engage();
+  
+  // Start active monitoring
+  startActiveMonitoring();
+  scheduleRoundEnd();
+  
+  // Load game site
+  mainWindow.loadURL(activePlatform.startUrl);
+}
+
+// IPC handlers, registered once when the app is ready
+// lib/ipc-contract lists which page may use each channel and what it may send
+function setupIpcHandlers() {
+  registerIpcHandlers({
+    ipcMain,
+    getSenderPage,
+    onRejected: ({ channel, page, reason }) => {
+      console.log(`Rejected IPC message on ${channel} from ${page || 'unknown page'}: ${reason}`);
+      logEvent('ipc-rejected', { channel, page, reason });
+    },
+    handlers: {
+      // Handle fair-play check from the start screen (all rules, including preflight-only ones)
+      'evaluate-rules': async () => {
+        return await ruleEngine.evaluate({ scope: 'preflight' });
+      },
+
+      // Handle checklist request from the start screen (requirements before their first check)
+      'get-checklist': () => {
+        return ruleEngine.describe({ scope: 'preflight' });
+      },
+
+      // Handle app version request
+      'get-app-version': () => {
+        return app.getVersion();
+      },
+
+      // Handle update status request
+      'get-update-status': () => {
+        return updateStatus;
+      },
+
+      // Handle session config request (policy settings the pages need)
+      'get-session-config': () => {
+        return {
+          policyName: policy.name,
+          policyHash: policyInfo.hash,
+          endProctorCountdownSeconds: policy.endProctor.countdownSeconds,
+          platforms: availablePlatforms.map(profile => ({ id: profile.id, name: profile.name })),
+          platform: activePlatform.id,
+          interruptedSessions,
+          schedule: getScheduleStatus(policy.schedule),
+          checkInRequired: policy.checkIn.roster.length > 0,
+          player: checkedInPlayer
+        };
+      },
+
+      // Handle overlay request from the active platform's pages
+      'get-overlay-config': () => {
+        if (!proctorStarted || sessionTerminated) return null;
+        return {
+          overlay: activePlatform.overlay,
+          game: activePlatform.game,
+          blockEndProctorDuringGame: policy.games.blockEndProctorDuringGame,
+          roundEndsInMs: roundClock ? roundClock.msLeft() : null,
+          player: checkedInPlayer
+        };
+      },
+
+      // Handle attestation summary request from the overlay (null until the snapshot is signed)
+      'get-attestation': () => {
+        return attestationSummary;
+      },
+
+      // Handle game state reports from the chess site
+      'game-state': (event, report) => {
+        if (!gameTracker || sessionTerminated) return;
+        gameTracker.update(report);
+        // The page may show a different signed-in account now
+        probeScheduler.invalidate('account');
+      },
+
+      // Handle End Proctor availability check (not while a game is live, if the policy says so)
+      'can-end-proctor': () => {
+        return canEndProctor();
+      },
+
+      // Handle player check-in from the start screen (event code and platform username)
+      'check-in': (event, code, username, platformId) => {
+        if (proctorStarted) return { error: 'The session has already started' };
+        if (policy.checkIn.roster.length === 0) return { error: 'This event has no check-in' };
+        const platform = platformId ? availablePlatforms.find(profile => profile.id === platformId) : activePlatform;
+        if (!platform) return { error: `Unknown platform: ${platformId}` };
+        const result = checkInPlayer(policy.checkIn, { code, username, platformId: platform.id });
+        checkedInPlayer = result.player || null;
+        console.log(result.player ? `Checked in: ${result.player.name} (${result.player.code})` : `Check-in refused: ${result.error}`);
+        return result;
+      },
+
+      // Handle start proctor button
+      'start-proctor': async (event, platformId) => {
+        if (proctorStarted || startingProctor) return;
+        const platform = availablePlatforms.find(profile => profile.id === platformId);
+        if (platformId && !platform) {
+          console.log('Ignoring start for unknown platform:', platformId);
+          return;
+        }
+        // With an event schedule, only while check-in is open
+        const schedule = getScheduleStatus(policy.schedule);
+        if (!schedule.canStart) {
+          console.log('Ignoring start outside check-in:', schedule.phase);
+          return;
+        }
+        // With an event roster, only once the player has checked in for this platform
+        if (policy.checkIn.roster.length > 0 && (!checkedInPlayer || checkedInPlayer.platform !== (platform || activePlatform).id)) {
+          console.log('Ignoring start before check-in');
+          return;
+        }
+        if (platform) {
+          selectPlatform(platform);
+        }
+        // The start button only unlocks once the start screen's checks pass, but that
+        // is page state: run the preflight again before starting
+        startingProctor = true;
+        let evaluation;
+        try {
+          evaluation = await ruleEngine.evaluate({ scope: 'preflight' });
+        } catch (err) {
+          evaluation = { passed: false, failures: [{ id: 'preflight', error: err.message }] };
+        } finally {
+          startingProctor = false;
+        }
+        if (proctorStarted) return;
+        if (!evaluation.passed) {
+          console.log('Ignoring start with failing checks:', evaluation.failures.map(failure => failure.id).join(', '));
+          return;
+        }
+        startProctorSession(null, schedule.round);
+      },
 
-  // Handle warning timer expired
-  ipcMain.on('warning-timer-expired', async () => {
-    console.log('Warning timer expired, checking status...');
+      // Handle warning timer expired
+      'warning-timer-expired': async () => {
+        console.log('Warning timer expired, checking status...');
     
-    // Recheck the issues
-    const displayResult = screen.getAllDisplays();
-    const zoomResult = await checkZoomCamera();
-    const bluetoothResult = await checkBluetooth();
-    const usbResult = await checkUsbDevices();
+        // The arbiter paused monitoring while the warning was up
+        if (monitoringPaused) {
+          monitorState.dismiss();
+          return;
+        }
     
-    const hasDisplayIssue = displayResult.length > 1;
-    const hasCameraIssue = !zoomResult.zoomRunning || !zoomResult.cameraInUse;
-    const hasBluetoothIssue = bluetoothResult.bluetoothEnabled;
-    const hasUsbIssue = usbResult.hasUsbDevices;
+        // Recheck the issues; the state machine terminates if the grace period is over
+        await runCheck('warning-expired');
+      },
+
+      // Handle terminate proctor button (from terminated.html)
+      'terminate-proctor': () => {
+        console.log('Terminating proctor app...');
+        allowQuit = true;
+        app.quit();
+      },
+
+      // Handle end proctor button (graceful exit during session)
+      'end-proctor': () => {
+        console.log('End proctor requested...');
+        const status = canEndProctor();
+        if (!status.allowed) {
+          console.log('End proctor refused:', status.reason);
+          logEvent('end-proctor-refused', { reason: status.reason });
+          return;
+        }
+        endProctorSession('end-proctor');
+      },
+
+      // Keys typed on any ChessLock page, checked for the arbiter passphrase
+      'key-pressed': (event, key) => {
+        passphraseDetector.push(key).then((found) => {
+          if (!found) return;
+          console.log('Arbiter passphrase entered');
+          logEvent('arbiter-unlock');
+          showArbiterWindow();
+        });
+      },
+
+      // Handle arbiter panel requests (the contract only accepts them from the panel)
+      'get-arbiter-state': () => {
+        return getArbiterState();
+      },
+
+      'arbiter-action': (event, action) => {
+        handleArbiterAction(action);
+        return getArbiterState();
+      },
+
+      // Handle update page actions
+      'dismiss-update': () => {
+        // Go back to start page
+        mainWindow.loadFile('start.html');
+      },
+
+      // Handle session log export (current session, or the most recent one)
+      'export-session-log': async () => {
+        const logs = listAuditLogs(getSessionsDirectory(app.getPath('userData')));
+        const log = auditLog ? { sessionId: auditLog.sessionId, filePath: auditLog.filePath } : logs[0];
+        if (!log) {
+          return { exported: false, error: 'No session log found' };
+        }
     
-    if (hasDisplayIssue || hasCameraIssue || hasBluetoothIssue || hasUsbIssue) {
-      // Issue still present - terminate session
-      terminateChessSession();
-    } else {
-      // Issue resolved - close warning and resume
-      closeWarningWindow();
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+          title: 'Export Session Log',
+          defaultPath: `chesslock-${log.sessionId}.jsonl`,
+          filters: [{ name: 'Session Log', extensions: ['jsonl'] }]
+        });
+        if (canceled || !filePath) {
+          return { exported: false };
+        }
+    
+        const verification = exportAuditLog(log.filePath, filePath, { maxGapSeconds: policy.monitor.intervalSeconds * 5 });
+        // Screenshots go next to the exported log, in <name>-captures/
+        const capturesExported = exportCaptures(
+          getCaptureDirectory(path.dirname(log.filePath), log.sessionId),
+          filePath.replace(/\.jsonl$/i, '') + '-captures'
+        );
+        // and the signed start-of-session snapshot in <name>-attestation.json
+        const attestationPath = getAttestationPath(path.dirname(log.filePath), log.sessionId);
+        const attestationExported = fs.existsSync(attestationPath);
+        if (attestationExported) {
+          fs.copyFileSync(attestationPath, filePath.replace(/\.jsonl$/i, '') + '-attestation.json');
+        }
+        return { exported: true, filePath, verification, capturesExported, attestationExported };
+      },
+
+      // Handle replay viewer requests; captures are only viewable outside a proctored session
+      'list-capture-sessions': () => {
+        if (proctorStarted) return [];
+        return listCaptureSessions(getSessionsDirectory(app.getPath('userData')));
+      },
+
+      'get-captures': (event, sessionId) => {
+        if (proctorStarted) return [];
+        const directory = findCaptureDirectory(sessionId);
+        return directory ? listCaptures(directory) : [];
+      },
+
+      'get-capture-image': (event, sessionId, file) => {
+        if (proctorStarted) return null;
+        // Only sessions and files the capture index lists, never arbitrary paths
+        const directory = findCaptureDirectory(sessionId);
+        if (!directory || !listCaptures(directory).some(entry => entry.file === file)) return null;
+        return `data:image/jpeg;base64,${fs.readFileSync(path.join(directory, file)).toString('base64')}`;
+      },
+
+      'open-replay': () => {
+        if (!proctorStarted) {
+          mainWindow.loadFile('replay.html');
+        }
+      },
+
+      'close-replay': () => {
+        if (!proctorStarted) {
+          mainWindow.loadFile('start.html');
+        }
+      },
+
+      'open-download-page': () => {
+        // Open GitHub releases page in browser
+        shell.openExternal('https://github.com/clickagree/ChessLock/releases');
+      }
     }
   });
+}
 
-  // Handle terminate proctor button (from terminated.html)
-  ipcMain.on('terminate-proctor', () => {
-    console.log('Terminating proctor app...');
-    allowQuit = true;
-    app.quit();
+// Page name of an IPC sender (see lib/ipc-contract), or null
+// Only top-level documents count, in the window their page belongs in; web
+// pages also have to be on a site the navigation policy allows.
+function getSenderPage(event) {
+  const frame = event.senderFrame;
+  if (!frame || frame.parent) return null;
+  const page = identifyPage(frame.url, __dirname);
+  if (!page || getSenderWindow(event) !== PAGE_WINDOWS[page]) return null;
+  if (page === 'game' && !navigationPolicy.isHostAllowed(new URL(frame.url).hostname)) return null;
+  return page;
+}
+
+function getSenderWindow(event) {
+  const windows = { main: mainWindow, warning: warningWindow, arbiter: arbiterWindow };
+  return Object.keys(windows).find(name => {
+    const window = windows[name];
+    return window && !window.isDestroyed() && event.sender === window.webContents;
+  }) || null;
+}
+
+// Snapshot the machine as the session starts, sign it and keep it next to the session log
+// The log records the code and a hash of the file, tying the two together.
+async function recordAttestation() {
+  try {
+    const evaluation = await ruleEngine.evaluate({ scope: 'preflight' });
+    const snapshot = await collectSnapshot({
+      probes: probeScheduler.probes,
+      listProcesses: system.listProcesses,
+      getMachineInfo,
+      evaluation
+    }, {
+      sessionId: auditLog.sessionId,
+      appVersion: app.getVersion(),
+      policyName: policy.name,
+      policyHash: policyInfo.hash,
+      chessPlatform: activePlatform.id,
+      player: checkedInPlayer
+    });
+    const attestation = createAttestation(snapshot, loadSigningKey(app.getPath('userData')));
+    const content = JSON.stringify(attestation, null, 2);
+    fs.writeFileSync(getAttestationPath(getSessionsDirectory(app.getPath('userData')), auditLog.sessionId), content);
+    attestationSummary = summarizeAttestation(attestation);
+    console.log(`Attestation ${attestationSummary.code} (${attestationSummary.compliant ? 'compliant' : 'not compliant'})`);
+    logEvent('attestation', {
+      ...attestationSummary,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    });
+  } catch (err) {
+    console.error('Failed to record attestation:', err.message);
+    logEvent('attestation-failed', { error: err.message });
+  }
+}
+
+// A resumed session keeps the attestation taken when it first started
+function restoreAttestation() {
+  const attestationPath = getAttestationPath(getSessionsDirectory(app.getPath('userData')), auditLog.sessionId);
+  try {
+    attestationSummary = summarizeAttestation(JSON.parse(fs.readFileSync(attestationPath, 'utf8')));
+  } catch (err) {
+    console.log('No attestation to restore:', err.message);
+  }
+}
+
+function saveSessionRecord() {
+  try {
+    saveActiveSession(getActiveSessionPath(app.getPath('userData')), activeSessionRecord);
+  } catch (err) {
+    console.error('Failed to save session record:', err.message);
+  }
+}
+
+function clearSessionRecord() {
+  activeSessionRecord = null;
+  clearActiveSession(getActiveSessionPath(app.getPath('userData')));
+}
+
+// Tell the dashboard about a session that could not be resumed, under that session's id
+function reportInterruptedSession(notice) {
+  if (!policy.reporting.enabled) return;
+  const player = notice.player ? `${notice.player.name} (${notice.player.code})` : undefined;
+  createReporter({
+    endpoint: policy.reporting.endpoint,
+    heartbeatSeconds: policy.reporting.heartbeatSeconds,
+    sessionId: notice.sessionId,
+    player
+  }).report('session-interrupted', {
+    resumed: false,
+    reason: notice.reason,
+    startedAt: notice.startedAt,
+    lastEntryTime: notice.lastEntryTime
   });
+}
 
-  // Handle end proctor button (graceful exit during session)
-  ipcMain.on('end-proctor', () => {
-    console.log('End proctor requested...');
-    
-    // Stop monitoring
-    if (monitoringInterval) {
-      clearInterval(monitoringInterval);
-      monitoringInterval = null;
+// A session record left by the last run means the app went away mid-session:
+// resume that session, or keep a notice for the arbiter on the start screen.
+// Notices are reported to the dashboard on every launch until acknowledged.
+function recoverInterruptedSession() {
+  const noticesPath = getInterruptedSessionsPath(app.getPath('userData'));
+  interruptedSessions = loadInterruptedSessions(noticesPath);
+
+  const recordPath = getActiveSessionPath(app.getPath('userData'));
+  const record = loadActiveSession(recordPath);
+  if (!record) {
+    interruptedSessions.forEach(reportInterruptedSession);
+    return;
+  }
+
+  const assessment = assessInterruptedSession(record, {
+    policyHash: policyInfo.hash,
+    platformIds: availablePlatforms.map(profile => profile.id),
+    resumeOnRelaunch: policy.recovery.resumeOnRelaunch,
+    maxResumeGapSeconds: policy.recovery.maxResumeGapSeconds
+  });
+  console.log(`Interrupted session ${record.sessionId}: ${assessment.action} (${assessment.reason})`);
+
+  if (assessment.action === 'resume') {
+    selectPlatform(availablePlatforms.find(profile => profile.id === record.platform));
+    startProctorSession({ record, ...assessment });
+    return;
+  }
+
+  if (assessment.action === 'notice') {
+    const notice = {
+      sessionId: record.sessionId || null,
+      startedAt: record.startedAt || null,
+      lastEntryTime: assessment.lastTime,
+      reason: assessment.reason,
+      player: record.player || null
+    };
+    // The record is only removed once the notice that replaces it is on disk
+    try {
+      interruptedSessions = addInterruptedSession(noticesPath, notice);
+    } catch (err) {
+      console.error('Failed to keep the interrupted session notice:', err.message);
+      interruptedSessions = [...interruptedSessions, notice];
+      interruptedSessions.forEach(reportInterruptedSession);
+      return;
     }
-    
-    // Close warning window if open
-    if (warningWindow && !warningWindow.isDestroyed()) {
-      warningWindow.close();
-      warningWindow = null;
+    // Close the interrupted session's log too, when its chain still verifies
+    try {
+      resumeAuditLog(record.logFile).append('session-interrupted', {
+        resumed: false,
+        reason: assessment.reason,
+        gapSeconds: assessment.gapSeconds,
+        lastEntryTime: assessment.lastTime
+      });
+    } catch (err) {
+      console.log('Could not record the interruption in the session log:', err.message);
     }
-    
-    // Exit fullscreen/kiosk mode before quitting
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.setKiosk(false);
-      mainWindow.setSimpleFullScreen(false);
-      mainWindow.setAlwaysOnTop(false);
-      mainWindow.setFullScreen(false);
-      mainWindow.setClosable(true);
+  }
+  interruptedSessions.forEach(reportInterruptedSession);
+  clearActiveSession(recordPath);
+}
+
+// Policy phase for grace periods and debounce: a live game may be stricter
+function getGamePhase() {
+  return gameTracker && gameTracker.isLive() ? 'duringGame' : 'betweenGames';
+}
+
+function canEndProctor() {
+  if (roundClock && !roundClock.isOver()) {
+    const end = new Date(sessionRound.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return { allowed: false, reason: `${sessionRound.name} ends at ${end}; until then only the arbiter can end the session` };
+  }
+  if (policy.games.blockEndProctorDuringGame && gameTracker && gameTracker.isLive()) {
+    return { allowed: false, reason: 'Finish your game before ending the proctored session' };
+  }
+  return { allowed: true, reason: null };
+}
+
+// End the session by itself when its round is over (after the game in progress, if
+// End Proctor waits for games)
+const ROUND_END_RECHECK_MS = 5000;
+
+function scheduleRoundEnd() {
+  if (!sessionRound) return;
+  roundEndDeferred = false;
+  roundEndTimer = setTimeout(handleRoundEnd, roundClock.msLeft());
+}
+
+function handleRoundEnd() {
+  roundEndTimer = null;
+  if (sessionTerminated) return;
+  const status = canEndProctor();
+  if (!status.allowed) {
+    if (!roundEndDeferred) {
+      console.log('Round over, waiting to end the session:', status.reason);
+      logEvent('round-end-deferred', { round: sessionRound.name, reason: status.reason });
+      roundEndDeferred = true;
     }
-    
-    // Small delay to let fullscreen exit complete
-    setTimeout(() => {
-      allowQuit = true;
-      app.quit();
-    }, 200);
-  });
+    roundEndTimer = setTimeout(handleRoundEnd, ROUND_END_RECHECK_MS);
+    return;
+  }
+  console.log('Round over, ending the session');
+  endProctorSession('round-end');
+}
 
-  // Handle update page actions
-  ipcMain.on('dismiss-update', () => {
-    // Go back to start page
-    mainWindow.loadFile('start.html');
-  });
+function clearRoundEnd() {
+  clearTimeout(roundEndTimer);
+  roundEndTimer = null;
+}
+
+// Capture directory of a session that has captures, or null
+function findCaptureDirectory(sessionId) {
+  const sessionsDirectory = getSessionsDirectory(app.getPath('userData'));
+  const session = listCaptureSessions(sessionsDirectory).find(entry => entry.sessionId === sessionId);
+  return session ? getCaptureDirectory(sessionsDirectory, session.sessionId) : null;
+}
 
-  ipcMain.on('open-download-page', () => {
-    // Open GitHub releases page in browser
-    shell.openExternal('https://github.com/clickagree/ChessLock/releases');
+// Use a platform profile for the session; its navigation rules add to the event's own
+function selectPlatform(profile) {
+  activePlatform = profile;
+  navigationPolicy = createNavigationPolicy({
+    allowedSites: profile.allowedSites.concat(policy.navigation.allowedSites),
+    allowedPaths: profile.allowedPaths.concat(policy.navigation.allowedPaths),
+    blockedPaths: profile.blockedPaths.concat(policy.navigation.blockedPaths),
+    appDirectory: __dirname
   });
+  console.log('Platform:', profile.name);
+}
 
-  // Navigation restriction (disabled for testing)
-  // mainWindow.webContents.on('will-navigate', (event, url) => {
-    // if (!url.includes('chess.com') && !url.includes('start.html')) {
-   //  event.preventDefault();
-   // }
- // });
+// Check a main-window navigation against the policy; blocked attempts are violations
+function checkNavigation(url, via) {
+  const result = navigationPolicy.check(url);
+  if (!result.allowed) {
+    console.log('Navigation blocked:', url, result.reason);
+    logEvent('navigation-blocked', { url, via, reason: result.reason });
+  }
+  return result.allowed;
+}
 
-  // Debug: log all navigation
-  mainWindow.webContents.on('will-navigate', (event, url) => {
-    console.log('Navigating to:', url);
-  });
-  
-  mainWindow.webContents.on('did-navigate', (event, url) => {
-    console.log('Navigated to:', url);
-  });
+// Evaluate the session rules and feed the result to the state machine
+// A check that starts while another is running shares its result instead of piling up
+let pendingCheck = null;
 
-  mainWindow.webContents.on('did-navigate-in-page', (event, url) => {
-    console.log('In-page navigation:', url);
-  });
+function runCheck(context) {
+  if (!pendingCheck) {
+    pendingCheck = (async () => {
+      const evaluation = await ruleEngine.evaluate({ scope: 'session' });
+      logCheck(evaluation, context);
+      if (!sessionTerminated) {
+        monitorState.observe(evaluation);
+        // A focus loss has been warned about; it stays failing until then
+        if (monitorState.getState() === 'warning' && evaluation.failures.some(failure => failure.id === 'app-focus')) {
+          lockdown.acknowledgeFocusLoss();
+        }
+      }
+      // Keep the warning's list of violations current as the player fixes them
+      if (isShowingWarning && warningWindow && !warningWindow.isDestroyed()) {
+        warningWindow.webContents.send('issues-updated', describeIssues(evaluation.failures));
+      }
+      return evaluation;
+    })().finally(() => {
+      pendingCheck = null;
+    });
+  }
+  return pendingCheck;
+}
 
-  mainWindow.webContents.on('render-process-gone', (event, details) => {
-    console.log('Render process gone:', details.reason);
-  });
+// A watched device changed: drop its cached result and check right away during a session
+function handleDeviceChange(probe) {
+  console.log('Device change:', probe);
+  probeScheduler.invalidate(probe);
+  if (monitorState && !sessionTerminated && !monitoringPaused) {
+    runCheck('device-change');
+  }
+}
+
+// No ChessLock window has focus any more: the player switched away mid-session
+function handleFocusLost() {
+  console.log('ChessLock lost focus');
+  logEvent('focus-lost');
+  probeScheduler.invalidate('focus');
+  if (monitorState && !sessionTerminated && !monitoringPaused) {
+    runCheck('focus-lost');
+  }
+}
+
+function handleFocusReturned({ awaySeconds }) {
+  console.log(`ChessLock has focus again after ${awaySeconds}s`);
+  logEvent('focus-returned', { awaySeconds });
+  probeScheduler.invalidate('focus');
+}
+
+// What the warning window shows for each failing rule
+function describeIssues(failures) {
+  return failures.map(failure => ({ id: failure.id, message: failure.message, fix: failure.fix }));
+}
 
+// React to the monitor moving between ok, suspect, warning and terminated
+function handleMonitorTransition({ from, to, reason, failures, strikes }) {
+  console.log(`Monitor: ${from} -> ${to} (${reason})`);
+  logEvent('monitor-state', { from, to, reason, strikes });
+  if (activeSessionRecord && activeSessionRecord.strikes !== strikes) {
+    activeSessionRecord.strikes = strikes;
+    saveSessionRecord();
+  }
+  
+  if (to === 'warning') {
+    console.log('Issues detected:', failures.map(failure => failure.message).join('; '));
+    showWarningWindow(describeIssues(failures), monitorState.secondsLeft());
+  } else if (to === 'terminated') {
+    terminateChessSession(reason);
+  } else if (from === 'warning') {
+    closeWarningWindow(reason);
+  }
 }
 
 // Active monitoring functions
@@ -412,46 +949,23 @@ function startActiveMonitoring() {
   console.log('Starting active monitoring...');
   
   monitoringInterval = setInterval(async () => {
-    if (sessionTerminated || isShowingWarning) return;
-    
-    // Check for issues
-    const displayResult = screen.getAllDisplays();
-    const zoomResult = await checkZoomCamera();
-    const bluetoothResult = await checkBluetooth();
-    const usbResult = await checkUsbDevices();
-    
-    const hasDisplayIssue = displayResult.length > 1;
-    const hasCameraIssue = !zoomResult.zoomRunning || !zoomResult.cameraInUse;
-    const hasBluetoothIssue = bluetoothResult.bluetoothEnabled;
-    const hasUsbIssue = usbResult.hasUsbDevices;
-    
-    if (hasDisplayIssue || hasCameraIssue || hasBluetoothIssue || hasUsbIssue) {
-      let issueMessage = '';
-      if (hasDisplayIssue) {
-        issueMessage = 'External display detected';
-      } else if (!zoomResult.zoomRunning) {
-        issueMessage = 'Zoom is not running';
-      } else if (!zoomResult.cameraInUse) {
-        issueMessage = 'Camera has been turned off';
-      } else if (hasBluetoothIssue) {
-        issueMessage = 'Bluetooth must be disabled';
-      } else if (hasUsbIssue) {
-        issueMessage = 'Disconnect all USB devices';
-      }
-      
-      console.log('Issue detected:', issueMessage);
-      showWarningWindow(issueMessage);
-    }
-  }, 2000); // Check every 2 seconds
+    if (sessionTerminated || isShowingWarning || monitoringPaused) return;
+    await runCheck('monitor');
+  }, policy.monitor.intervalSeconds * 1000);
 }
 
-function showWarningWindow(issue) {
+function showWarningWindow(issues, countdownSeconds) {
   // Prevent multiple warnings or warnings after termination
   if (isShowingWarning || sessionTerminated) return;
   if (warningWindow && !warningWindow.isDestroyed()) return;
   
   isShowingWarning = true;
-  console.log('Showing warning window for:', issue);
+  console.log('Showing warning window for:', issues.map(issue => issue.id).join(', '));
+  logEvent('warning-shown', {
+    issues: issues.map(issue => issue.message),
+    countdownSeconds,
+    strike: monitorState.getSnapshot().strikes
+  });
   
   // Clear any existing resolve check interval
   if (resolveCheckInterval) {
@@ -461,7 +975,7 @@ function showWarningWindow(issue) {
   
   warningWindow = new BrowserWindow({
     width: 600,
-    height: 500,
+    height: 600,
     fullscreen: false,
     frame: false,
     kiosk: true,
@@ -483,7 +997,7 @@ function showWarningWindow(issue) {
   
   warningWindow.setAlwaysOnTop(true, 'screen-saver');
   warningWindow.center();
-  warningWindow.loadFile('warning.html', { query: { issue: issue } });
+  warningWindow.loadFile('warning.html', { query: { issues: JSON.stringify(issues), seconds: String(countdownSeconds) } });
   
   // Handle window closed unexpectedly
   warningWindow.on('closed', () => {
@@ -497,26 +1011,14 @@ function showWarningWindow(issue) {
       resolveCheckInterval = null;
       return;
     }
+    if (monitoringPaused) return;
     
-    // Check ALL conditions
-    const displayResult = screen.getAllDisplays();
-    const zoomResult = await checkZoomCamera();
-    const bluetoothResult = await checkBluetooth();
-    const usbResult = await checkUsbDevices();
-    
-    const hasDisplayIssue = displayResult.length > 1;
-    const hasCameraIssue = !zoomResult.zoomRunning || !zoomResult.cameraInUse;
-    const hasBluetoothIssue = bluetoothResult.bluetoothEnabled;
-    const hasUsbIssue = usbResult.hasUsbDevices;
-    
-    if (!hasDisplayIssue && !hasCameraIssue && !hasBluetoothIssue && !hasUsbIssue) {
-      console.log('Issue resolved during warning period');
-      closeWarningWindow();
-    }
-  }, 1000);
+    // Check ALL conditions; the state machine closes the warning once they pass
+    await runCheck('warning');
+  }, policy.monitor.resolveIntervalSeconds * 1000);
 }
 
-function closeWarningWindow() {
+function closeWarningWindow(reason = 'resolved') {
   // Clear the resolve check interval first
   if (resolveCheckInterval) {
     clearInterval(resolveCheckInterval);
@@ -524,6 +1026,7 @@ function closeWarningWindow() {
   }
   
   if (warningWindow && !warningWindow.isDestroyed()) {
+    logEvent('warning-resolved', { reason });
     try {
       warningWindow.webContents.send('issue-resolved');
     } catch (e) {
@@ -535,11 +1038,155 @@ function closeWarningWindow() {
   isShowingWarning = false;
 }
 
-function terminateChessSession() {
+// Leave the session without a fair-play termination
+function endProctorSession(reason) {
+  logEvent('session-end', { reason });
+  clearSessionRecord();
+  clearRoundEnd();
+  if (sessionCapture) {
+    sessionCapture.stop();
+  }
+  
+  // Stop monitoring
+  if (monitoringInterval) {
+    clearInterval(monitoringInterval);
+    monitoringInterval = null;
+  }
+  
+  // Close warning and arbiter windows if open
+  if (warningWindow && !warningWindow.isDestroyed()) {
+    warningWindow.close();
+    warningWindow = null;
+  }
+  closeArbiterWindow();
+  
+  // Exit fullscreen/kiosk mode before quitting
+  lockdown.release();
+  
+  // Small delay to let fullscreen exit complete
+  setTimeout(() => {
+    allowQuit = true;
+    app.quit();
+  }, 200);
+}
+
+function showArbiterWindow() {
+  if (arbiterWindow && !arbiterWindow.isDestroyed()) {
+    arbiterWindow.focus();
+    return;
+  }
+  
+  arbiterWindow = new BrowserWindow({
+    width: 420,
+    height: 720,
+    frame: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    minimizable: false,
+    maximizable: false,
+    resizable: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false
+    }
+  });
+  
+  // Above the kiosk window and the warning
+  arbiterWindow.setAlwaysOnTop(true, 'screen-saver', 1);
+  arbiterWindow.center();
+  arbiterWindow.loadFile('arbiter.html');
+  
+  arbiterWindow.on('closed', () => {
+    arbiterWindow = null;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.focus();
+    }
+  });
+}
+
+function closeArbiterWindow() {
+  if (arbiterWindow && !arbiterWindow.isDestroyed()) {
+    arbiterWindow.close();
+  }
+  arbiterWindow = null;
+}
+
+function getArbiterState() {
+  return {
+    proctorStarted: proctorStarted && !sessionTerminated,
+    monitoringPaused,
+    warningActive: isShowingWarning,
+    extendGraceSeconds: policy.arbiter.extendGraceSeconds,
+    attestation: attestationSummary,
+    player: checkedInPlayer,
+    interruptedSessions
+  };
+}
+
+function handleArbiterAction(action) {
+  const sessionActive = proctorStarted && !sessionTerminated;
+  
+  switch (action) {
+    case 'pause-monitoring':
+    case 'resume-monitoring':
+      if (!sessionActive) return;
+      monitoringPaused = action === 'pause-monitoring';
+      break;
+    case 'dismiss-warning':
+      if (!isShowingWarning) return;
+      break;
+    case 'extend-grace':
+      if (!warningWindow || warningWindow.isDestroyed()) return;
+      break;
+    case 'end-session':
+      if (!sessionActive) return;
+      break;
+    case 'acknowledge-interrupted':
+      if (interruptedSessions.length === 0) return;
+      break;
+    case 'close':
+      break;
+    default:
+      console.log('Ignoring unknown arbiter action:', action);
+      return;
+  }
+  
+  console.log('Arbiter action:', action);
+  logEvent('arbiter-action', { action });
+  
+  if (action === 'dismiss-warning') {
+    monitorState.dismiss();
+  } else if (action === 'extend-grace') {
+    monitorState.extend(policy.arbiter.extendGraceSeconds);
+    warningWindow.webContents.send('countdown-extended', policy.arbiter.extendGraceSeconds);
+  } else if (action === 'end-session') {
+    endProctorSession('arbiter');
+  } else if (action === 'acknowledge-interrupted') {
+    console.log(`Arbiter acknowledged interrupted sessions: ${interruptedSessions.map(notice => notice.sessionId).join(', ')}`);
+    acknowledgeInterruptedSessions(getInterruptedSessionsPath(app.getPath('userData')));
+    interruptedSessions = [];
+    // Take the notice off the start screen
+    if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents.getURL().endsWith('/start.html')) {
+      mainWindow.webContents.reload();
+    }
+  } else if (action === 'close') {
+    closeArbiterWindow();
+  }
+}
+
+function terminateChessSession(trigger) {
   console.log('Terminating chess session due to fair play issue');
+  logEvent('session-terminated', { reason: 'fair-play', trigger, strikes: monitorState.getSnapshot().strikes });
+  clearSessionRecord();
+  clearRoundEnd();
   
   sessionTerminated = true;
   isShowingWarning = false;
+  if (sessionCapture) {
+    sessionCapture.stop();
+  }
   
   // Stop monitoring
   if (monitoringInterval) {
@@ -559,54 +1206,67 @@ function terminateChessSession() {
     warningWindow = null;
   }
   
-  // Exit kiosk/fullscreen mode to allow button interaction
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.setKiosk(false);
-    mainWindow.setSimpleFullScreen(false);
-    mainWindow.setFullScreen(false);
-    // Keep alwaysOnTop but allow interaction
-    mainWindow.setAlwaysOnTop(true, 'floating');
-  }
+  // Exit kiosk/fullscreen mode to allow button interaction, but stay on top
+  lockdown.release({ keepOnTop: true });
   
   // Load terminated screen in main window (closes chess.com)
   mainWindow.loadFile('terminated.html');
 }
 
-function blockShortcuts() {
-  // Block ALL common exit/escape shortcuts
-  const shortcutsToBlock = [
-    'CommandOrControl+Q',      // Quit
-    'CommandOrControl+W',      // Close window
-    'CommandOrControl+H',      // Hide
-    'CommandOrControl+M',      // Minimize
-    'Alt+F4',                  // Windows close
-    'CommandOrControl+Alt+Escape', // Force quit dialog (partial)
-    'Escape',                  // Escape key
-    'CommandOrControl+Shift+Escape',
-    'F11',                     // Fullscreen toggle
-    'CommandOrControl+Shift+F', // Find/Search
-    'CommandOrControl+Shift+Q', // macOS logout dialog
-    'Command+Shift+Q',          // macOS logout dialog (explicit)
-  ];
-
-  shortcutsToBlock.forEach(shortcut => {
-    try {
-      globalShortcut.register(shortcut, () => {
-        // Do nothing - blocks the shortcut
-      });
-    } catch (e) {
-      // Some shortcuts can't be registered
-    }
+app.whenReady().then(() => {
+  // Load the event policy; refuse to run with a missing or tampered policy
+  try {
+    policyInfo = loadPolicy({
+      argv: process.argv,
+      knownRuleIds: defaultRules.map(rule => rule.id)
+    });
+  } catch (err) {
+    console.error('Policy error:', err.message);
+    dialog.showErrorBox('ChessLock - Invalid Event Policy', err.message);
+    allowQuit = true;
+    app.quit();
+    return;
+  }
+  policy = policyInfo.policy;
+  // Every consumer of the rule engine reads probes through one scheduler
+  probeScheduler = createProbeScheduler({
+    // The 'focus' probe reports the lockdown's focus tracking, the 'account' probe
+    // the checked-in username and the one last seen signed in on the chess site
+    probes: {
+      ...createProbes(policy),
+      focus: async () => lockdown.getFocusStatus(),
+      account: async () => ({
+        expected: checkedInPlayer ? checkedInPlayer.username : null,
+        seen: gameTracker ? gameTracker.getAccount() : null
+      })
+    },
+    timeoutSeconds: policy.monitor.probeTimeoutSeconds,
+    cacheSeconds: policy.monitor.probeCacheSeconds,
+    watchedCacheSeconds: policy.monitor.watchedProbeCacheSeconds
   });
+  ruleEngine = createRuleEngine({ rules: buildRuleSet(policy.rules), probes: probeScheduler.probes });
+  
+  // Hardware that reports its own changes is checked the moment it changes, not on the next poll
+  deviceWatcher = watchDevices({
+    onWatch: (probes) => probes.forEach(probeScheduler.watch),
+    onUnavailable: (probes) => probes.forEach(probeScheduler.unwatch),
+    onChange: handleDeviceChange
+  });
+  passphraseDetector = createPassphraseDetector({ passphraseHash: policy.arbiter.passphraseHash });
+  
+  // Platform from --platform=<id> if the policy offers it, otherwise the policy's default
+  availablePlatforms = getAvailablePlatforms(policy.platforms);
+  const platformFlag = process.argv.find(arg => arg.startsWith('--platform='));
+  const requestedPlatform = platformFlag && availablePlatforms.find(profile => profile.id === platformFlag.split('=')[1]);
+  selectPlatform(requestedPlatform || availablePlatforms.find(profile => profile.id === policy.platforms.default));
+  console.log(`Loaded policy "${policy.name}" from ${policyInfo.source} (sha256 ${policyInfo.hash})`);
 
-}
-
-app.whenReady().then(() => {
   // Block system sleep
   powerSaveId = powerSaveBlocker.start('prevent-display-sleep');
 
+  setupIpcHandlers();
   createWindow();
-  blockShortcuts();
+  recoverInterruptedSession();
   
   // Check for updates (only in production)
   if (!app.isPackaged) {
@@ -693,6 +1353,12 @@ app.on('window-all-closed', () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  if (deviceWatcher) {
+    deviceWatcher.stop();
+  }
+  if (reporter) {
+    reporter.stop();
+  }
   if (powerSaveId !== null) {
     powerSaveBlocker.stop(powerSaveId);
   }
@@ -2,52 +2,92 @@
 // This runs in a sandboxed context before the web page loads
 
 const { contextBridge, ipcRenderer } = require('electron');
+const { CHANNELS, identifyPage, getPageChannels } = require('./lib/ipc-contract');
 
-// Expose APIs to renderer
-contextBridge.exposeInMainWorld('electronAPI', {
-  startProctor: () => ipcRenderer.send('start-proctor'),
-  checkZoomCamera: () => ipcRenderer.invoke('check-zoom-camera'),
-  checkDisplays: () => ipcRenderer.invoke('check-displays'),
-  checkBluetooth: () => ipcRenderer.invoke('check-bluetooth'),
-  checkUsb: () => ipcRenderer.invoke('check-usb'),
-  getAppVersion: () => ipcRenderer.invoke('get-app-version'),
-  getUpdateStatus: () => ipcRenderer.invoke('get-update-status'),
-  warningTimerExpired: () => ipcRenderer.send('warning-timer-expired'),
-  terminateProctor: () => ipcRenderer.send('terminate-proctor'),
-  endProctor: () => ipcRenderer.send('end-proctor'),
-  dismissUpdate: () => ipcRenderer.send('dismiss-update'),
-  openDownloadPage: () => ipcRenderer.send('open-download-page'),
-  onIssueResolved: (callback) => {
-    const handler = () => {
-      callback();
-      ipcRenderer.removeListener('issue-resolved', handler);
+// This page, as the IPC contract names it ('start', 'warning', ... or 'game')
+const page = identifyPage(location.href, __dirname);
+
+// Expose the page's channels to the renderer (see lib/ipc-contract)
+// The chess site's own scripts get no electronAPI at all; the overlay below
+// talks to the main process from here.
+const electronAPI = {};
+for (const channel of page && page !== 'game' ? getPageChannels(page) : []) {
+  const { kind, method, once } = CHANNELS[channel];
+  if (!method) continue;
+  if (kind === 'send') {
+    electronAPI[method] = (...args) => ipcRenderer.send(channel, ...args);
+  } else if (kind === 'invoke') {
+    electronAPI[method] = (...args) => ipcRenderer.invoke(channel, ...args);
+  } else {
+    electronAPI[method] = (callback) => {
+      const handler = (event, ...args) => {
+        callback(...args);
+        if (once) {
+          ipcRenderer.removeListener(channel, handler);
+        }
+      };
+      ipcRenderer.on(channel, handler);
     };
-    ipcRenderer.on('issue-resolved', handler);
   }
-});
+}
+contextBridge.exposeInMainWorld('electronAPI', electronAPI);
+
+// Current game on this page: { gameId, status, moves, opponent, account } (see lib/game-tracker)
+function readGameState(game) {
+  const accountElement = game.accountSelector ? document.querySelector(game.accountSelector) : null;
+  const account = accountElement ? accountElement.textContent.trim() : null;
+  let gameId = null;
+  for (const pattern of game.urlPatterns) {
+    const match = location.pathname.match(new RegExp(pattern));
+    if (match) {
+      gameId = match[1] || location.pathname;
+      break;
+    }
+  }
+  if (!gameId) {
+    return { gameId: null, status: 'none', moves: 0, opponent: null, account };
+  }
+  const moves = game.moveSelector ? document.querySelectorAll(game.moveSelector).length : 0;
+  const opponentElement = game.opponentSelector ? document.querySelector(game.opponentSelector) : null;
+  let status = 'waiting';
+  if (game.overSelector && document.querySelector(game.overSelector)) {
+    status = 'over';
+  } else if ((game.activeSelector && document.querySelector(game.activeSelector)) || moves > 0) {
+    status = 'active';
+  }
+  return { gameId, status, moves, opponent: opponentElement ? opponentElement.textContent.trim() : null, account };
+}
+
+function cornerStyle(corner, offset) {
+  const [vertical, horizontal] = corner.split('-');
+  return `${vertical}: ${offset}px; ${horizontal}: ${offset}px;`;
+}
 
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
   console.log('ChessLock loaded');
   
   // Disable right-click context menu
   document.addEventListener('contextmenu', (e) => e.preventDefault());
   
-  // Send all key presses to main process for exit password detection
+  // Send all key presses to main process for arbiter passphrase detection
+  // (only real ones: page scripts can dispatch synthetic keydown events)
   document.addEventListener('keydown', (e) => {
-    if (e.key.length === 1) {
+    if (e.isTrusted && e.key.length === 1) {
       ipcRenderer.send('key-pressed', e.key);
     }
   }, true);
 
-  // Inject End Proctor button on game pages (chess.com or buddyboardgames.com)
-  if (window.location.hostname.includes('chess.com') || window.location.hostname.includes('buddyboardgames.com')) {
+  // Inject End Proctor button on the active chess platform's pages
+  const overlayConfig = page === 'game' ? await ipcRenderer.invoke('get-overlay-config') : null;
+  if (overlayConfig) {
+    const { overlay, game } = overlayConfig;
+    let gameLive = false;
     const endButton = document.createElement('button');
     endButton.id = 'chesslock-end-proctor';
     endButton.textContent = 'End Proctor';
     endButton.style.cssText = `
       position: fixed;
-      top: 10px;
-      right: 10px;
+      ${cornerStyle(overlay.endButton, 10)}
       z-index: 999999;
       background: #dc3545;
       color: white;
@@ -67,20 +107,27 @@ window.addEventListener('DOMContentLoaded', () => {
       }
     });
     endButton.addEventListener('mouseleave', () => {
-      if (!endButton.dataset.counting) {
-        endButton.style.background = '#dc3545';
-      }
+      updateEndButton();
     });
-    endButton.addEventListener('click', () => {
+    endButton.addEventListener('click', async () => {
       // Prevent multiple clicks during countdown
       if (endButton.dataset.counting) return;
+
+      // The policy may keep the session running until the current game is over
+      const status = await ipcRenderer.invoke('can-end-proctor');
+      if (!status.allowed) {
+        alert(status.reason);
+        return;
+      }
       
       if (confirm('Are you sure you want to end the proctored session?')) {
         endButton.dataset.counting = 'true';
         endButton.style.background = '#6c757d';
         endButton.style.cursor = 'default';
         
-        let secondsLeft = 15;
+        // Countdown length comes from the event policy
+        const config = await ipcRenderer.invoke('get-session-config');
+        let secondsLeft = config.endProctorCountdownSeconds;
         endButton.textContent = `Ending in ${secondsLeft}...`;
         
         const countdownInterval = setInterval(() => {
@@ -89,22 +136,68 @@ window.addEventListener('DOMContentLoaded', () => {
             endButton.textContent = `Ending in ${secondsLeft}...`;
           } else {
             clearInterval(countdownInterval);
-            endButton.textContent = 'Ending...';
-            ipcRenderer.send('end-proctor');
+            ipcRenderer.invoke('can-end-proctor').then((finalStatus) => {
+              if (finalStatus.allowed) {
+                endButton.textContent = 'Ending...';
+                ipcRenderer.send('end-proctor');
+                return;
+              }
+              // A game started during the countdown
+              alert(finalStatus.reason);
+              delete endButton.dataset.counting;
+              endButton.style.cursor = 'pointer';
+              updateEndButton();
+            });
           }
         }, 1000);
       }
     });
     document.body.appendChild(endButton);
 
-    // Add subtle monitoring indicator in bottom-left corner
+    // Round end on the page's monotonic clock (main counts it the same way)
+    const roundEndsAt = overlayConfig.roundEndsInMs !== null ? performance.now() + overlayConfig.roundEndsInMs : null;
+
+    // Grey the button out while a game is live and the policy blocks ending then
+    function updateEndButton() {
+      if (endButton.dataset.counting) return;
+      const roundRunning = roundEndsAt !== null && performance.now() < roundEndsAt;
+      const gameRunning = overlayConfig.blockEndProctorDuringGame && gameLive;
+      endButton.textContent = roundRunning ? 'End Proctor (round in progress)'
+        : gameRunning ? 'End Proctor (game in progress)' : 'End Proctor';
+      endButton.style.background = roundRunning || gameRunning ? '#6c757d' : '#dc3545';
+    }
+
+    // Re-enable the button once the scheduled round is over
+    if (roundEndsAt !== null) {
+      setInterval(updateEndButton, 1000);
+    }
+
+    // Report the game on this page to the main process whenever it changes
+    if (game && (game.urlPatterns.length > 0 || game.accountSelector)) {
+      let lastReport = null;
+      const reportGameState = () => {
+        const state = readGameState(game);
+        const report = JSON.stringify(state);
+        if (report === lastReport) return;
+        lastReport = report;
+        gameLive = state.status === 'active';
+        updateEndButton();
+        ipcRenderer.send('game-state', state);
+      };
+      reportGameState();
+      setInterval(reportGameState, 1000);
+    }
+
+    // Add subtle monitoring indicator in a corner
     const monitoringBanner = document.createElement('div');
     monitoringBanner.id = 'chesslock-monitoring-banner';
-    monitoringBanner.innerHTML = `Proctored`;
+    // Name the checked-in player, so the arbiter can tell whose screen this is
+    const player = overlayConfig.player;
+    const bannerText = player ? `Proctored · ${player.name} (${player.username})` : 'Proctored';
+    monitoringBanner.textContent = bannerText;
     monitoringBanner.style.cssText = `
       position: fixed;
-      bottom: 8px;
-      left: 8px;
+      ${cornerStyle(overlay.banner, 8)}
       z-index: 999998;
       background: rgba(107, 255, 70, 0.6);
       color: rgba(255, 255, 255, 0.8);
@@ -116,5 +209,16 @@ window.addEventListener('DOMContentLoaded', () => {
       pointer-events: none;
     `;
     document.body.appendChild(monitoringBanner);
+
+    // Show the session's attestation code, for the player to read out to the arbiter
+    const showAttestationCode = async () => {
+      const attestation = await ipcRenderer.invoke('get-attestation');
+      if (attestation) {
+        monitoringBanner.textContent = `${bannerText} · ${attestation.code}`;
+      } else {
+        setTimeout(showAttestationCode, 2000);
+      }
+    };
+    showAttestationCode();
   }
 });
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Generate the arbiter passphrase hash for an event policy
+// Usage: npm run hash-passphrase -- "<passphrase>"
+
+const { hashPassphrase, MAX_PASSPHRASE_LENGTH } = require('../lib/arbiter');
+
+const passphrase = process.argv[2];
+if (!passphrase) {
+  console.error('Usage: npm run hash-passphrase -- "<passphrase>"');
+  process.exit(2);
+}
+if (passphrase.length < 12) {
+  console.error('Use a passphrase of at least 12 characters; the hash ships to every player.');
+  process.exit(2);
+}
+if (passphrase.length > MAX_PASSPHRASE_LENGTH) {
+  console.error(`Passphrases longer than ${MAX_PASSPHRASE_LENGTH} characters cannot be typed in.`);
+  process.exit(2);
+}
+
+console.log(JSON.stringify({ arbiter: { passphraseHash: hashPassphrase(passphrase) } }, null, 2));
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Verify a ChessLock session attestation exported by a player
+// Usage: npm run verify-attestation -- <session-attestation.json>
+
+const fs = require('fs');
+const { verifyAttestation } = require('../lib/attestation');
+
+const filePath = process.argv[2];
+
+if (!filePath) {
+  console.error('Usage: npm run verify-attestation -- <session-attestation.json>');
+  process.exit(2);
+}
+
+let attestation;
+try {
+  attestation = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+} catch (err) {
+  console.error(`Cannot read ${filePath}: ${err.message}`);
+  process.exit(2);
+}
+
+const result = verifyAttestation(attestation);
+if (!result.valid) {
+  console.log(`INVALID: ${result.error}`);
+  process.exit(1);
+}
+
+const { snapshot } = attestation;
+console.log(`Session ${snapshot.sessionId}: signature valid, code ${result.code}`);
+console.log(`Signed by install key ${result.keyId} at ${snapshot.takenAt}`);
+console.log(`ChessLock ${snapshot.appVersion} on ${snapshot.os.platform} ${snapshot.os.release}, policy ${snapshot.policyName} (${snapshot.policyHash})`);
+for (const check of snapshot.checks.filter(item => !item.passed)) {
+  console.log(`WARNING: ${check.id} failed at start: ${check.message}`);
+}
+console.log(snapshot.compliant ? 'All fair-play checks passed at start' : 'WARNING: machine was not compliant at start');
+process.exit(snapshot.compliant ? 0 : 1);
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Verify a ChessLock session log exported by a player
+// Usage: npm run verify-log -- <session.jsonl> [--max-gap=<seconds>] [--anchors=<anchors.json>]
+// anchors.json is the session's entry hashes saved from the dashboard
+// (GET /api/log-anchors?session=<session id>). Without it only accidental
+// damage is detected: whoever edits the log can recompute its hash chain.
+
+const fs = require('fs');
+const { verifyAuditLog } = require('../lib/audit-log');
+
+const args = process.argv.slice(2);
+const filePath = args.find(arg => !arg.startsWith('--'));
+const gapFlag = args.find(arg => arg.startsWith('--max-gap='));
+const maxGapSeconds = gapFlag ? Number(gapFlag.split('=')[1]) : 10;
+const anchorsFlag = args.find(arg => arg.startsWith('--anchors='));
+
+if (!filePath) {
+  console.error('Usage: npm run verify-log -- <session.jsonl> [--max-gap=<seconds>] [--anchors=<anchors.json>]');
+  process.exit(2);
+}
+
+let anchors = [];
+if (anchorsFlag) {
+  const anchorsPath = anchorsFlag.slice('--anchors='.length);
+  try {
+    anchors = JSON.parse(fs.readFileSync(anchorsPath, 'utf8'));
+    if (!Array.isArray(anchors)) {
+      throw new Error('expected a list of { seq, hash }');
+    }
+  } catch (err) {
+    console.error(`Cannot read ${anchorsPath}: ${err.message}`);
+    process.exit(2);
+  }
+}
+
+let result;
+try {
+  result = verifyAuditLog(filePath, { maxGapSeconds, anchors });
+} catch (err) {
+  console.error(`Cannot read ${filePath}: ${err.message}`);
+  process.exit(2);
+}
+
+if (!result.valid) {
+  console.log(`INVALID: ${result.error} (${result.entries} entries verified before the break)`);
+  process.exit(1);
+}
+
+console.log(`Session ${result.sessionId}: ${result.entries} entries, hash chain intact`);
+console.log(`Head hash: ${result.headHash}`);
+console.log(result.anchorsChecked > 0
+  ? `${result.anchorsChecked} entries match the hashes reported to the dashboard`
+  : 'WARNING: no dashboard anchors given; edits that recompute the chain go unnoticed');
+console.log(result.complete ? 'Session closed normally' : 'WARNING: session log does not end with end or termination');
+for (const gap of result.gaps) {
+  console.log(`WARNING: ${gap.seconds}s gap after entry ${gap.afterSeq}`);
+}
+process.exit(result.complete && result.gaps.length === 0 ? 0 : 1);
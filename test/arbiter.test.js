@@ -0,0 +1,67 @@
+// Arbiter passphrase: hash format, detection and policy validation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPassphraseDetector, hashPassphrase, parsePassphraseHash } = require('../lib/arbiter');
+const { loadPolicy } = require('../lib/policy');
+const { defaultRules } = require('../lib/rules');
+
+const PASSPHRASE = 'round 5 board 12';
+const passphraseHash = hashPassphrase(PASSPHRASE);
+
+// Resolves to the indexes of the keys that completed the passphrase
+async function type(detector, text) {
+  const results = await Promise.all([...text].map(key => detector.push(key)));
+  return results.map((found, i) => found ? i : null).filter(i => i !== null);
+}
+
+test('the hash is scrypt and records the passphrase length', () => {
+  assert.match(passphraseHash, /^scrypt:16:[0-9a-f]{32}:[0-9a-f]{64}$/);
+  assert.equal(parsePassphraseHash(passphraseHash).length, PASSPHRASE.length);
+});
+
+test('the passphrase is detected after other keys, once', async () => {
+  const detector = createPassphraseDetector({ passphraseHash });
+  assert.equal(detector.enabled, true);
+  const text = `e4 Nf3 ${PASSPHRASE}`;
+  assert.deepEqual(await type(detector, text), [text.length - 1]);
+  // The buffer starts over after a match
+  assert.deepEqual(await type(detector, 'x'), []);
+});
+
+test('a near miss is not detected', async () => {
+  const detector = createPassphraseDetector({ passphraseHash });
+  assert.deepEqual(await type(detector, 'round 5 board 13'), []);
+});
+
+test('keys typed faster than they can be checked still find the passphrase at the end', async () => {
+  const detector = createPassphraseDetector({ passphraseHash });
+  const text = `${'x'.repeat(100)}${PASSPHRASE}`;
+  assert.deepEqual(await type(detector, text), [text.length - 1]);
+});
+
+test('malformed hashes are not accepted', () => {
+  const digest = crypto.randomBytes(32).toString('hex');
+  assert.equal(parsePassphraseHash(`scrypt:salt:${digest}`), null);
+  assert.equal(parsePassphraseHash(`scrypt:0:salt:${digest}`), null);
+  assert.equal(parsePassphraseHash(`scrypt:65:salt:${digest}`), null);
+  assert.equal(createPassphraseDetector({ passphraseHash: null }).enabled, false);
+});
+
+test('policies with a scrypt passphrase hash load', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-policy-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const policyPath = path.join(directory, 'policy.json');
+  const content = JSON.stringify({ arbiter: { passphraseHash } });
+  fs.writeFileSync(policyPath, content);
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+  const { policy } = loadPolicy({
+    argv: [`--policy=${policyPath}`, `--policy-sha256=${checksum}`],
+    knownRuleIds: defaultRules.map(rule => rule.id)
+  });
+  assert.equal(policy.arbiter.passphraseHash, passphraseHash);
+});
@@ -0,0 +1,73 @@
+// Session log: verifying the hash chain against the hashes reported to the dashboard
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, verifyAuditLog } = require('../lib/audit-log');
+
+function createSession(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-sessions-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const log = createAuditLog({ directory });
+  const anchors = [
+    log.append('session-start', { policyName: 'Club night' }),
+    log.append('check', { passed: false, failures: [{ id: 'usb' }] }),
+    log.append('session-end', {})
+  ].map(entry => ({ seq: entry.seq, hash: entry.hash }));
+  return { log, anchors };
+}
+
+// What a player would do: change an entry, then recompute every hash after it
+function rewriteLog(filePath, edit) {
+  let prevHash = null;
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => {
+    const entry = JSON.parse(line);
+    edit(entry);
+    if (prevHash) entry.prevHash = prevHash;
+    const { seq, time, sessionId, type, data } = entry;
+    entry.hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ seq, time, sessionId, type, data, prevHash: entry.prevHash }))
+      .digest('hex');
+    prevHash = entry.hash;
+    return JSON.stringify(entry);
+  });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+test('a log matching its reported hashes verifies', (t) => {
+  const { log, anchors } = createSession(t);
+  const result = verifyAuditLog(log.filePath, { anchors });
+  assert.equal(result.valid, true);
+  assert.equal(result.complete, true);
+  assert.equal(result.anchorsChecked, 3);
+});
+
+test('an edited log with a recomputed chain still verifies on its own', (t) => {
+  const { log } = createSession(t);
+  rewriteLog(log.filePath, (entry) => {
+    if (entry.type === 'check') entry.data = { passed: true, failures: [] };
+  });
+  assert.equal(verifyAuditLog(log.filePath).valid, true);
+});
+
+test('an edited log with a recomputed chain does not match the reported hashes', (t) => {
+  const { log, anchors } = createSession(t);
+  rewriteLog(log.filePath, (entry) => {
+    if (entry.type === 'check') entry.data = { passed: true, failures: [] };
+  });
+  const result = verifyAuditLog(log.filePath, { anchors });
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Entry 1 does not match/);
+});
+
+test('a log cut short before a reported entry does not verify', (t) => {
+  const { log, anchors } = createSession(t);
+  const lines = fs.readFileSync(log.filePath, 'utf8').trim().split('\n');
+  fs.writeFileSync(log.filePath, lines.slice(0, 2).join('\n') + '\n');
+  const result = verifyAuditLog(log.filePath, { anchors });
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Entry 2 was reported but is missing/);
+});
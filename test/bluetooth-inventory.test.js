@@ -0,0 +1,35 @@
+// Bluetooth state from `system_profiler SPBluetoothDataType -json`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSystemProfilerBluetooth, normalizeAddress } = require('../lib/bluetooth-inventory');
+
+test('connected devices are listed with their address and class', () => {
+  const result = parseSystemProfilerBluetooth(JSON.stringify({
+    SPBluetoothDataType: [{
+      controller_properties: { controller_state: 'attrib_on' },
+      device_connected: [{ 'AirPods Pro': { device_address: 'a4-c6-f0-12-34-56', device_minorType: 'Headphones' } }],
+      device_not_connected: [{ 'Magic Mouse': { device_address: '11:22:33:44:55:66' } }]
+    }]
+  }));
+  assert.deepEqual(result, {
+    bluetoothEnabled: true,
+    devices: [{ name: 'AirPods Pro', address: 'A4:C6:F0:12:34:56', type: 'Headphones' }]
+  });
+});
+
+test('a controller that is off reports Bluetooth off', () => {
+  const result = parseSystemProfilerBluetooth({ SPBluetoothDataType: [{ controller_properties: { controller_state: 'attrib_off' } }] });
+  assert.equal(result.bluetoothEnabled, false);
+});
+
+test('output without Bluetooth data throws instead of reporting it off', () => {
+  assert.throws(() => parseSystemProfilerBluetooth('{}'), /no Bluetooth data/);
+  assert.throws(() => parseSystemProfilerBluetooth(''), SyntaxError);
+});
+
+test('normalizeAddress accepts the address formats each OS uses', () => {
+  assert.equal(normalizeAddress('a4c6f0123456'), 'A4:C6:F0:12:34:56');
+  assert.equal(normalizeAddress('a4-c6-f0-12-34-56'), 'A4:C6:F0:12:34:56');
+  assert.equal(normalizeAddress('a4:c6'), null);
+});
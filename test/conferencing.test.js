@@ -0,0 +1,61 @@
+// Conference detection against fake platform primitives
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, detectConference } = require('../lib/conferencing');
+
+function fakeSystem(platform, { processes = [], titles = [], openFiles = {} } = {}) {
+  const system = {
+    platform,
+    titleListings: 0,
+    listOpenFiles: async (command) => openFiles[command] || [],
+    listProcesses: async () => processes.map((name, i) => ({ pid: String(i + 1), name, cmdline: '' })),
+    listWindowTitles: async () => {
+      system.titleListings++;
+      return titles;
+    },
+    isCameraInUse: async () => false
+  };
+  return system;
+}
+
+test('Zoom on macOS never lists window titles', async () => {
+  const system = fakeSystem('darwin', { processes: ['zoom.us', 'CptHost'] });
+  const result = await detectConference(getProvider('zoom'), system);
+  assert.equal(result.screenSharing, true);
+  assert.equal(system.titleListings, 0);
+});
+
+test('Zoom on macOS is sharing while it holds the window server open', async () => {
+  const sharing = fakeSystem('darwin', {
+    processes: ['zoom.us'],
+    openFiles: { 'zoom.us': ['/usr/lib/libc.dylib', '/System/Library/PrivateFrameworks/SkyLight.framework/Versions/A/SkyLight'] }
+  });
+  assert.equal((await detectConference(getProvider('zoom'), sharing)).screenSharing, true);
+
+  const notSharing = fakeSystem('darwin', { processes: ['zoom.us'], openFiles: { 'zoom.us': ['/usr/lib/libc.dylib'] } });
+  assert.equal((await detectConference(getProvider('zoom'), notSharing)).screenSharing, false);
+});
+
+test('a failing open-file listing fails the conference probe', async () => {
+  const system = fakeSystem('darwin', { processes: ['zoom.us'] });
+  system.listOpenFiles = async () => {
+    throw new Error('lsof: command timed out');
+  };
+  await assert.rejects(detectConference(getProvider('zoom'), system), /lsof/);
+});
+
+test('Zoom on Linux recognises its sharing toolbar', async () => {
+  const system = fakeSystem('linux', { processes: ['zoom'], titles: ['Zoom Meeting', 'as_toolbar'] });
+  const result = await detectConference(getProvider('zoom'), system);
+  assert.equal(result.screenSharing, true);
+});
+
+test('browser sharing bars are recognised on every platform', async () => {
+  for (const platform of ['darwin', 'linux', 'win32']) {
+    const browser = { darwin: 'Google Chrome', linux: 'chrome', win32: 'chrome.exe' }[platform];
+    const system = fakeSystem(platform, { processes: [browser], titles: ['Meet - abc-defg-hij', 'meet.google.com is sharing your screen.'] });
+    const result = await detectConference(getProvider('meet'), system);
+    assert.deepEqual([result.running, result.screenSharing], [true, true], platform);
+  }
+});
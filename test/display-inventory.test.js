@@ -0,0 +1,39 @@
+// Display hardware from system_profiler (macOS) and xrandr (Linux)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSystemProfilerDisplays, parseXrandr } = require('../lib/display-inventory');
+
+test('system_profiler: built-in, mirrored and AirPlay displays are told apart', () => {
+  const { displays } = parseSystemProfilerDisplays(JSON.stringify({
+    SPDisplaysDataType: [{
+      spdisplays_ndrvs: [
+        { _name: 'Color LCD', spdisplays_connection_type: 'spdisplays_internal' },
+        { _name: 'DELL U2720Q', spdisplays_mirror: 'spdisplays_on' },
+        { _name: 'Living Room', spdisplays_connection_type: 'spdisplays_airplay' }
+      ]
+    }]
+  }));
+  assert.deepEqual(displays.map(display => [display.name, display.internal, display.mirrored, display.virtual]), [
+    ['Color LCD', true, false, false],
+    ['DELL U2720Q', false, true, false],
+    ['Living Room', false, false, true]
+  ]);
+});
+
+test('system_profiler: unreadable output throws instead of listing no displays', () => {
+  assert.throws(() => parseSystemProfilerDisplays(''), SyntaxError);
+  assert.throws(() => parseSystemProfilerDisplays('{}'), /no display data/);
+});
+
+test('xrandr: outputs at the same position are mirrored', () => {
+  const { displays } = parseXrandr([
+    'eDP-1 connected primary 1920x1080+0+0 (normal left inverted right x axis y axis) 344mm x 193mm',
+    'HDMI-1 connected 1920x1080+0+0 (normal left inverted right x axis y axis) 527mm x 296mm',
+    'DP-1 connected (normal left inverted right x axis y axis)'
+  ].join('\n'));
+  assert.deepEqual(displays.map(display => [display.name, display.internal, display.mirrored]), [
+    ['eDP-1', true, true],
+    ['HDMI-1', false, true]
+  ]);
+});
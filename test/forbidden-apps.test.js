@@ -0,0 +1,47 @@
+// Forbidden app detection against a fake process list
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getForbiddenApps, detectForbiddenApps } = require('../lib/forbidden-apps');
+
+// windows: [{ name, title }] of processes with a visible window
+function fakeSystem(platform, names, windows = []) {
+  return {
+    platform,
+    listProcesses: async () => names.map((name, i) => ({ pid: String(i + 1), name, cmdline: '' })),
+    listWindowTitles: async () => windows.map(window => window.title),
+    listWindowedProcesses: async () => windows
+  };
+}
+
+test('a second browser is forbidden', async () => {
+  const result = await detectForbiddenApps(getForbiddenApps(), fakeSystem('win32', ['explorer.exe', 'chrome.exe']));
+  assert.deepEqual(result.matches.map(match => match.id), ['browsers']);
+});
+
+test('Edge running in the background on Windows is not a violation', async () => {
+  const result = await detectForbiddenApps(getForbiddenApps(), fakeSystem('win32', ['explorer.exe', 'msedge.exe']));
+  assert.deepEqual(result.matches, []);
+});
+
+test('Edge with a window open on Windows is a second browser', async () => {
+  const system = fakeSystem('win32', ['explorer.exe', 'msedge.exe'], [{ name: 'msedge.exe', title: 'Stockfish online - Microsoft Edge' }]);
+  const result = await detectForbiddenApps(getForbiddenApps(), system);
+  assert.deepEqual(result.matches.map(match => [match.id, match.via]), [['browsers', 'window']]);
+});
+
+test('Edge is not forbidden on Windows when a browser-based meeting needs it', async () => {
+  const system = fakeSystem('win32', ['msedge.exe'], [{ name: 'msedge.exe', title: 'Meet - Microsoft Edge' }]);
+  const result = await detectForbiddenApps(getForbiddenApps({}, { allowBrowsers: true }), system);
+  assert.deepEqual(result.matches, []);
+});
+
+test('events can still forbid Edge on Windows', async () => {
+  const apps = getForbiddenApps({ extraApps: [{ name: 'Microsoft Edge', processes: ['msedge.exe'] }] });
+  const result = await detectForbiddenApps(apps, fakeSystem('win32', ['explorer.exe', 'msedge.exe']));
+  assert.deepEqual(result.matches.map(match => match.name), ['Microsoft Edge']);
+});
+
+test('an empty process list is a failed listing, not a clean machine', async () => {
+  await assert.rejects(detectForbiddenApps(getForbiddenApps(), fakeSystem('win32', [])), /Unable to list running processes/);
+});
@@ -0,0 +1,37 @@
+// Game tracker: which signed-in account the player-account rule sees
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameTracker } = require('../lib/game-tracker');
+
+function createTracker() {
+  const events = [];
+  const tracker = createGameTracker({ onEvent: (type, data) => events.push({ type, data }) });
+  return { tracker, events };
+}
+
+const page = (account) => ({ gameId: null, status: 'none', moves: 0, opponent: null, account });
+const gamePage = (account) => ({ gameId: 'abc12345', status: 'active', moves: 3, opponent: 'rival', account });
+
+test('an account shown outside a game is kept while other pages come and go', () => {
+  const { tracker, events } = createTracker();
+  tracker.update(page('janedoe'));
+  tracker.update(page(null));
+  assert.equal(tracker.getAccount(), 'janedoe');
+  assert.deepEqual(events.filter(event => event.type === 'account-seen').map(event => event.data.account), ['janedoe']);
+});
+
+test('an account read on a game page only counts while that page is shown', () => {
+  const { tracker } = createTracker();
+  tracker.update(page('janedoe'));
+  tracker.update(gamePage('someone-else'));
+  assert.equal(tracker.getAccount(), 'someone-else');
+  tracker.update(page(null));
+  assert.equal(tracker.getAccount(), 'janedoe');
+});
+
+test('no account before any page has shown one', () => {
+  const { tracker } = createTracker();
+  tracker.update(gamePage(null));
+  assert.equal(tracker.getAccount(), null);
+});
@@ -0,0 +1,38 @@
+// IPC contract: argument validation and the channels each page may use
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArgs, getPageChannels } = require('../lib/ipc-contract');
+
+test('validateArgs: accepts arguments that match the schemas', () => {
+  assert.equal(validateArgs('check-in', ['A17', 'JaneD', 'chess-com']), null);
+  assert.equal(validateArgs('game-state', [{ gameId: '1', status: 'active' }]), null);
+  assert.equal(validateArgs('arbiter-action', ['pause-monitoring']), null);
+});
+
+test('validateArgs: optional arguments may be left out or null', () => {
+  assert.equal(validateArgs('check-in', ['A17', 'JaneD']), null);
+  assert.equal(validateArgs('start-proctor', [null]), null);
+  assert.equal(validateArgs('start-proctor', []), null);
+});
+
+test('validateArgs: rejects missing, extra and mistyped arguments', () => {
+  assert.equal(validateArgs('check-in', ['A17']), 'argument 2 is missing');
+  assert.equal(validateArgs('evaluate-rules', ['extra']), 'expects at most 0 argument(s), got 1');
+  assert.equal(validateArgs('get-captures', [42]), 'argument 1 must be a string');
+  assert.equal(validateArgs('game-state', [['active']]), 'argument 1 must be an object');
+  assert.equal(validateArgs('game-state', ['active']), 'argument 1 must be an object');
+});
+
+test('validateArgs: enforces maxLength and enum', () => {
+  assert.equal(validateArgs('key-pressed', ['ab']), 'argument 1 must be at most 1 characters');
+  assert.match(validateArgs('arbiter-action', ['format-disk']), /^argument 1 must be one of pause-monitoring, /);
+});
+
+test('getPageChannels: the chess site only gets the overlay channels', () => {
+  assert.deepEqual(getPageChannels('game').sort(), [
+    'can-end-proctor', 'end-proctor', 'game-state', 'get-attestation',
+    'get-overlay-config', 'get-session-config', 'key-pressed'
+  ]);
+  assert.equal(getPageChannels('warning').includes('arbiter-action'), false);
+});
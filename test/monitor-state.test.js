@@ -0,0 +1,142 @@
+// Monitor state machine, driven by a fake clock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitorStateMachine } = require('../lib/monitor-state');
+
+function createFakeClock() {
+  let now = 0;
+  return {
+    now: () => now,
+    advance: (seconds) => { now += seconds * 1000; }
+  };
+}
+
+const passing = { failures: [] };
+const failing = (...ids) => ({ failures: ids.map(id => ({ id })) });
+
+function createMachine(options = {}) {
+  const clock = createFakeClock();
+  const transitions = [];
+  const machine = createMonitorStateMachine({
+    getGraceSeconds: () => 10,
+    clock,
+    onTransition: (transition) => transitions.push(`${transition.from}->${transition.to}:${transition.reason}`),
+    ...options
+  });
+  return { machine, clock, transitions };
+}
+
+test('debounce: a failure only warns after debounceChecks consecutive checks', () => {
+  const { machine, transitions } = createMachine({ debounceChecks: 3 });
+  assert.equal(machine.observe(failing('usb')), 'suspect');
+  assert.equal(machine.observe(failing('usb')), 'suspect');
+  assert.equal(machine.observe(failing('usb')), 'warning');
+  assert.deepEqual(transitions, ['ok->suspect:failing', 'suspect->warning:debounced']);
+});
+
+test('debounce: a passing check resets the streak', () => {
+  const { machine } = createMachine({ debounceChecks: 2 });
+  machine.observe(failing('usb'));
+  assert.equal(machine.observe(passing), 'ok');
+  assert.equal(machine.observe(failing('usb')), 'suspect');
+  assert.equal(machine.observe(failing('bluetooth')), 'suspect');
+});
+
+test('debounce: per-rule debounce counts are honoured', () => {
+  const { machine } = createMachine({ getDebounceChecks: (id) => id === 'app-focus' ? 1 : 3 });
+  assert.equal(machine.observe(failing('usb')), 'suspect');
+  assert.equal(machine.observe(failing('usb', 'app-focus')), 'warning');
+});
+
+test('grace: the warning ends the session once the shortest grace period runs out', () => {
+  const { machine, clock, transitions } = createMachine({ getGraceSeconds: (id) => id === 'usb' ? 30 : 10 });
+  machine.observe(failing('usb', 'displays'));
+  assert.equal(machine.getState(), 'warning');
+  assert.equal(machine.secondsLeft(), 10);
+
+  clock.advance(9);
+  assert.equal(machine.observe(failing('usb', 'displays')), 'warning');
+  assert.equal(machine.secondsLeft(), 1);
+
+  clock.advance(1);
+  assert.equal(machine.observe(failing('usb', 'displays')), 'terminated');
+  assert.equal(transitions.at(-1), 'warning->terminated:grace-expired');
+  assert.equal(machine.observe(passing), 'terminated');
+});
+
+test('grace: resolving the issue in time goes back to ok', () => {
+  const { machine, clock } = createMachine();
+  machine.observe(failing('usb'));
+  clock.advance(5);
+  assert.equal(machine.observe(passing), 'ok');
+  assert.equal(machine.secondsLeft(), null);
+});
+
+test('grace: no grace period terminates straight away', () => {
+  const { machine, transitions } = createMachine({ getGraceSeconds: () => 0 });
+  assert.equal(machine.observe(failing('usb')), 'terminated');
+  assert.deepEqual(transitions, ['ok->terminated:no-grace']);
+});
+
+test('strike budget: the warning after the last strike terminates', () => {
+  const { machine, transitions } = createMachine({ strikeBudget: 2 });
+  for (let i = 0; i < 2; i++) {
+    assert.equal(machine.observe(failing('usb')), 'warning');
+    assert.equal(machine.observe(passing), 'ok');
+  }
+  assert.equal(machine.getSnapshot().strikes, 2);
+  assert.equal(machine.observe(failing('usb')), 'terminated');
+  assert.equal(transitions.at(-1), 'ok->terminated:strike-budget');
+});
+
+test('dismiss: the arbiter clears a warning without giving the strike back', () => {
+  const { machine, transitions } = createMachine({ debounceChecks: 2 });
+  machine.observe(failing('usb'));
+  machine.observe(failing('usb'));
+  machine.dismiss();
+  assert.equal(machine.getState(), 'ok');
+  assert.equal(machine.getSnapshot().strikes, 1);
+  assert.equal(transitions.at(-1), 'warning->ok:dismissed');
+  // The streak starts over
+  assert.equal(machine.observe(failing('usb')), 'suspect');
+});
+
+test('dismiss: does nothing once terminated', () => {
+  const { machine } = createMachine({ getGraceSeconds: () => 0 });
+  machine.observe(failing('usb'));
+  machine.dismiss();
+  assert.equal(machine.getState(), 'terminated');
+});
+
+test('extend: the arbiter adds time to a running warning', () => {
+  const { machine, clock } = createMachine();
+  machine.observe(failing('usb'));
+  clock.advance(8);
+  machine.extend(60);
+  assert.equal(machine.secondsLeft(), 62);
+
+  clock.advance(61);
+  assert.equal(machine.observe(failing('usb')), 'warning');
+  clock.advance(1);
+  assert.equal(machine.observe(failing('usb')), 'terminated');
+});
+
+test('extend: does nothing outside a warning', () => {
+  const { machine } = createMachine();
+  machine.extend(60);
+  assert.equal(machine.secondsLeft(), null);
+});
+
+test('initialStrikes: a resumed session keeps the strikes it had used', () => {
+  const { machine, transitions } = createMachine({ strikeBudget: 3, initialStrikes: 3 });
+  assert.equal(machine.getSnapshot().strikes, 3);
+  assert.equal(machine.observe(failing('usb')), 'terminated');
+  assert.deepEqual(transitions, ['ok->terminated:strike-budget']);
+});
+
+test('initialStrikes: strikes left over still allow warnings', () => {
+  const { machine } = createMachine({ strikeBudget: 3, initialStrikes: 2 });
+  assert.equal(machine.observe(failing('usb')), 'warning');
+  assert.equal(machine.getSnapshot().strikes, 3);
+});
@@ -0,0 +1,40 @@
+// Navigation policy: site and path matching
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createNavigationPolicy } = require('../lib/navigation-policy');
+
+const policy = createNavigationPolicy({
+  allowedSites: ['chess.com'],
+  blockedPaths: ['/analysis', '/game/*/review'],
+  appDirectory: path.join(__dirname, '..')
+});
+
+const isAllowed = (url) => policy.check(url).allowed;
+
+test('sites are matched on the parsed host name', () => {
+  assert.equal(isAllowed('https://www.chess.com/play'), true);
+  assert.equal(isAllowed('https://chess.com.evil.example/'), false);
+  assert.equal(isAllowed('https://evil.example/?q=chess.com'), false);
+});
+
+test('blocked paths match whole segments', () => {
+  assert.equal(isAllowed('https://www.chess.com/analysis'), false);
+  assert.equal(isAllowed('https://www.chess.com/analysis/game/123'), false);
+  assert.equal(isAllowed('https://www.chess.com/analysisx'), true);
+  assert.equal(isAllowed('https://www.chess.com/game/123/review'), false);
+});
+
+test('encoded, doubled and parameterised paths are normalised before matching', () => {
+  assert.equal(isAllowed('https://www.chess.com/%61nalysis'), false);
+  assert.equal(isAllowed('https://www.chess.com/%2Fanalysis'), false);
+  assert.equal(isAllowed('https://www.chess.com//analysis'), false);
+  assert.equal(isAllowed('https://www.chess.com/analysis;x'), false);
+  assert.equal(isAllowed('https://www.chess.com/game;x/123//review'), false);
+  assert.equal(isAllowed('https://www.chess.com/ANALYSIS'), false);
+});
+
+test('a path that cannot be decoded is blocked', () => {
+  assert.deepEqual(policy.check('https://www.chess.com/%E0%A4%A'), { allowed: false, reason: 'undecodable path: /%E0%A4%A' });
+});
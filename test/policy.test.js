@@ -0,0 +1,53 @@
+// Event policy loading: where a policy may come from and how it is pinned
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPolicy, PolicyError } = require('../lib/policy');
+const { defaultRules } = require('../lib/rules');
+
+const knownRuleIds = defaultRules.map(rule => rule.id);
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// A policy file that turns every check off, as a player would write it
+function writeLenientPolicy(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-policy-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const policyPath = path.join(directory, 'policy.json');
+  const content = JSON.stringify({ name: 'Anything goes', reporting: { enabled: false }, rules: { usb: { enabled: false } } });
+  fs.writeFileSync(policyPath, content);
+  return { policyPath, content };
+}
+
+test('without --policy the bundled default policy is used', () => {
+  const { policy, source } = loadPolicy({ argv: [], knownRuleIds });
+  assert.equal(policy.name, 'ChessLock default');
+  assert.match(source, /default\.json$/);
+});
+
+test('an external policy pinned on the command line loads', (t) => {
+  const { policyPath, content } = writeLenientPolicy(t);
+  const { policy, hash } = loadPolicy({ argv: [`--policy=${policyPath}`, `--policy-sha256=${sha256(content)}`], knownRuleIds });
+  assert.equal(policy.name, 'Anything goes');
+  assert.equal(hash, sha256(content));
+});
+
+test('a checksum file next to the policy does not count as pinning it', (t) => {
+  const { policyPath, content } = writeLenientPolicy(t);
+  fs.writeFileSync(`${policyPath}.sha256`, sha256(content));
+  assert.throws(() => loadPolicy({ argv: [`--policy=${policyPath}`], knownRuleIds }), /No checksum provided/);
+});
+
+test('an external policy that does not match its pinned checksum is refused', (t) => {
+  const { policyPath } = writeLenientPolicy(t);
+  assert.throws(
+    () => loadPolicy({ argv: [`--policy=${policyPath}`, `--policy-sha256=${sha256('the arbiter\'s policy')}`], knownRuleIds }),
+    (err) => err instanceof PolicyError && /checksum mismatch/.test(err.message)
+  );
+});
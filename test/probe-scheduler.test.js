@@ -0,0 +1,117 @@
+// Probe scheduler: shared runs, caching and timeouts, driven by a fake clock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProbeScheduler } = require('../lib/probe-scheduler');
+
+function createFakeClock() {
+  let now = 0;
+  return {
+    now: () => now,
+    advance: (seconds) => { now += seconds * 1000; }
+  };
+}
+
+// A probe that resolves when the test says so; runs counts its starts
+function createControlledProbe() {
+  const probe = { runs: 0, resolvers: [] };
+  probe.run = () => {
+    probe.runs++;
+    return new Promise((resolve) => probe.resolvers.push(resolve));
+  };
+  probe.finish = (value) => probe.resolvers.shift()(value);
+  return probe;
+}
+
+// A probe that resolves straight away with its run count
+function createCountingProbe() {
+  const probe = { runs: 0 };
+  probe.run = async () => ++probe.runs;
+  return probe;
+}
+
+function createScheduler(probes, options = {}) {
+  const clock = createFakeClock();
+  const scheduler = createProbeScheduler({ probes, timeoutSeconds: 5, cacheSeconds: 2, clock, ...options });
+  return { scheduler, clock };
+}
+
+test('in flight: concurrent reads share one run', async () => {
+  const usb = createControlledProbe();
+  const { scheduler } = createScheduler({ usb: usb.run });
+  const first = scheduler.probes.usb();
+  const second = scheduler.probes.usb();
+  await Promise.resolve();
+  assert.equal(usb.runs, 1);
+  usb.finish('devices');
+  assert.deepEqual(await Promise.all([first, second]), ['devices', 'devices']);
+});
+
+test('cache: results are reused for cacheSeconds', async () => {
+  const usb = createCountingProbe();
+  const { scheduler, clock } = createScheduler({ usb: usb.run });
+  assert.equal(await scheduler.probes.usb(), 1);
+  clock.advance(1.9);
+  assert.equal(await scheduler.probes.usb(), 1);
+  clock.advance(0.1);
+  assert.equal(await scheduler.probes.usb(), 2);
+});
+
+test('cache: failures are not cached', async () => {
+  let runs = 0;
+  const { scheduler } = createScheduler({
+    usb: async () => {
+      runs++;
+      if (runs === 1) throw new Error('busy');
+      return 'devices';
+    }
+  });
+  await assert.rejects(scheduler.probes.usb(), /busy/);
+  assert.equal(await scheduler.probes.usb(), 'devices');
+});
+
+test('watch: watched probes keep results for watchedCacheSeconds until invalidated', async () => {
+  const usb = createCountingProbe();
+  const { scheduler, clock } = createScheduler({ usb: usb.run }, { watchedCacheSeconds: 60 });
+  scheduler.watch('usb');
+  await scheduler.probes.usb();
+  clock.advance(30);
+  assert.equal(await scheduler.probes.usb(), 1);
+
+  scheduler.invalidate('usb');
+  assert.equal(await scheduler.probes.usb(), 2);
+
+  scheduler.unwatch('usb');
+  clock.advance(2);
+  assert.equal(await scheduler.probes.usb(), 3);
+});
+
+test('invalidate: a run that started before the change is not cached', async () => {
+  const usb = createControlledProbe();
+  const { scheduler } = createScheduler({ usb: usb.run });
+  const stale = scheduler.probes.usb();
+  await Promise.resolve();
+  scheduler.invalidate('usb');
+  usb.finish('before');
+  assert.equal(await stale, 'before');
+
+  const fresh = scheduler.probes.usb();
+  await Promise.resolve();
+  assert.equal(usb.runs, 2);
+  usb.finish('after');
+  assert.equal(await fresh, 'after');
+});
+
+test('timeout: a slow probe fails and is not restarted until it finishes', async () => {
+  const usb = createControlledProbe();
+  const { scheduler } = createScheduler({ usb: usb.run }, { timeoutSeconds: 0.01 });
+  await assert.rejects(scheduler.probes.usb(), /Probe timed out: usb/);
+  const retry = scheduler.probes.usb();
+  await Promise.resolve();
+  assert.equal(usb.runs, 1);
+
+  usb.finish('late');
+  assert.equal(await retry, 'late');
+  assert.equal(await scheduler.probes.usb(), 'late');
+  assert.equal(usb.runs, 1);
+});
@@ -0,0 +1,64 @@
+// Event roster check-in and validation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkInPlayer, isSameAccount, validateCheckIn } = require('../lib/roster');
+
+const checkIn = {
+  roster: [
+    { code: 'A17', name: 'Jane Doe', usernames: { 'chess-com': 'JaneD', lichess: 'janedoe' } },
+    { code: 'B02', name: 'John Roe', usernames: { lichess: 'jroe' } }
+  ]
+};
+
+test('checkInPlayer: matches code and username, ignoring case and spaces', () => {
+  assert.deepEqual(checkInPlayer(checkIn, { code: ' a17 ', username: '@janed', platformId: 'chess-com' }), {
+    player: { code: 'A17', name: 'Jane Doe', username: 'JaneD', platform: 'chess-com' }
+  });
+});
+
+test('checkInPlayer: tells the player what is wrong', () => {
+  assert.deepEqual(checkInPlayer(checkIn, { code: 'A17', username: ' ', platformId: 'lichess' }), {
+    error: 'Enter your event code and your username'
+  });
+  assert.deepEqual(checkInPlayer(checkIn, { code: 'Z99', username: 'janedoe', platformId: 'lichess' }), {
+    error: 'Unknown event code. Check your badge or ask the arbiter.'
+  });
+  assert.deepEqual(checkInPlayer(checkIn, { code: 'B02', username: 'jroe', platformId: 'chess-com' }), {
+    error: 'You are not registered to play on this platform. Ask the arbiter.'
+  });
+  assert.deepEqual(checkInPlayer(checkIn, { code: 'A17', username: 'jroe', platformId: 'lichess' }), {
+    error: 'This username is not the one registered for your event code'
+  });
+});
+
+test('isSameAccount: accepts a title or @ in front of the username', () => {
+  assert.equal(isSameAccount('JaneD', 'GM janed'), true);
+  assert.equal(isSameAccount('JaneD', '@JANED'), true);
+  assert.equal(isSameAccount('JaneD', 'JaneDoe'), false);
+});
+
+test('validateCheckIn: accepts a well-formed roster', () => {
+  assert.equal(validateCheckIn(checkIn, ['chess-com', 'lichess']), null);
+});
+
+test('validateCheckIn: rejects malformed entries, repeated codes and unknown platforms', () => {
+  const platforms = ['chess-com', 'lichess'];
+  const entry = checkIn.roster[0];
+  assert.equal(validateCheckIn({}, platforms), 'checkIn.roster must be a list');
+  assert.equal(validateCheckIn({ roster: [{ ...entry, code: '' }] }, platforms), 'checkIn.roster[0].code must be a non-empty string');
+  assert.equal(
+    validateCheckIn({ roster: [entry, { ...entry, code: 'a17' }] }, platforms),
+    'checkIn.roster has the event code a17 more than once'
+  );
+  assert.equal(validateCheckIn({ roster: [{ ...entry, name: null }] }, platforms), 'checkIn.roster[0].name must be a non-empty string');
+  assert.equal(
+    validateCheckIn({ roster: [{ ...entry, usernames: {} }] }, platforms),
+    'checkIn.roster[0].usernames must map platform ids to usernames'
+  );
+  assert.equal(validateCheckIn(checkIn, ['lichess']), 'Unknown platform in checkIn.roster[0].usernames: chess-com');
+  assert.equal(
+    validateCheckIn({ roster: [{ ...entry, usernames: { lichess: ' @ ' } }] }, platforms),
+    'checkIn.roster[0].usernames.lichess must be a non-empty string'
+  );
+});
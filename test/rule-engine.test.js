@@ -0,0 +1,145 @@
+// Rule engine against fake probes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuleEngine } = require('../lib/rule-engine');
+
+// Probes that return the given values and count how often they ran
+function createFakeProbes(values) {
+  const calls = {};
+  const probes = {};
+  for (const [name, value] of Object.entries(values)) {
+    calls[name] = 0;
+    probes[name] = async () => {
+      calls[name]++;
+      if (value instanceof Error) throw value;
+      return value;
+    };
+  }
+  return { probes, calls };
+}
+
+const usbRule = {
+  id: 'usb',
+  probe: 'usb',
+  severity: 'critical',
+  title: 'No USB',
+  fix: 'Unplug it.',
+  message: 'Disconnect all USB devices',
+  check: (result) => result.devices.length === 0
+};
+
+const shareRule = {
+  id: 'share',
+  probe: 'conference',
+  severity: 'preflight',
+  title: 'Screen shared',
+  message: 'Share your screen',
+  check: (result) => result.screenSharing
+};
+
+const cameraRule = {
+  id: 'camera',
+  probe: 'conference',
+  severity: 'critical',
+  title: 'Camera on',
+  message: (result) => `Turn on your ${result.providerName} camera`,
+  check: (result) => result.cameraInUse
+};
+
+test('evaluate: passes when every rule passes', async () => {
+  const { probes } = createFakeProbes({ usb: { devices: [] } });
+  const engine = createRuleEngine({ rules: [usbRule], probes });
+  const outcome = await engine.evaluate();
+  assert.equal(outcome.passed, true);
+  assert.deepEqual(outcome.failures, []);
+  assert.equal(outcome.results[0].message, null);
+});
+
+test('evaluate: a failing rule reports its message, title and fix', async () => {
+  const { probes } = createFakeProbes({ usb: { devices: [{ name: 'Stick' }] } });
+  const engine = createRuleEngine({ rules: [usbRule], probes });
+  const outcome = await engine.evaluate();
+  assert.equal(outcome.passed, false);
+  assert.deepEqual(outcome.failures, [{
+    id: 'usb', severity: 'critical', title: 'No USB', fix: 'Unplug it.',
+    passed: false, message: 'Disconnect all USB devices', details: []
+  }]);
+});
+
+test('evaluate: message functions get the probe result', async () => {
+  const { probes } = createFakeProbes({ conference: { providerName: 'Zoom', cameraInUse: false } });
+  const engine = createRuleEngine({ rules: [cameraRule], probes });
+  const outcome = await engine.evaluate();
+  assert.equal(outcome.failures[0].message, 'Turn on your Zoom camera');
+});
+
+test('evaluate: rule options reach check, message and details', async () => {
+  const seen = [];
+  const rule = {
+    id: 'limit',
+    probe: 'count',
+    severity: 'critical',
+    message: (result, options) => `More than ${options.max}`,
+    check: (result, options) => { seen.push(options); return result <= options.max; },
+    details: (result, options) => [{ label: `${result} of ${options.max}`, allowed: false }],
+    options: { max: 2 }
+  };
+  const { probes } = createFakeProbes({ count: 3 });
+  const engine = createRuleEngine({ rules: [rule], probes });
+  const [result] = (await engine.evaluate()).failures;
+  assert.deepEqual(seen, [{ max: 2 }]);
+  assert.equal(result.message, 'More than 2');
+  assert.deepEqual(result.details, [{ label: '3 of 2', allowed: false }]);
+});
+
+test('evaluate: a probe that throws fails its rules as unable to check', async () => {
+  const { probes } = createFakeProbes({ usb: new Error('system_profiler failed') });
+  const engine = createRuleEngine({ rules: [usbRule], probes });
+  const outcome = await engine.evaluate();
+  assert.equal(outcome.passed, false);
+  assert.equal(outcome.failures[0].message, 'Unable to check: usb');
+  assert.equal(outcome.failures[0].error, 'system_profiler failed');
+});
+
+test('evaluate: a rule naming an unknown probe fails', async () => {
+  const engine = createRuleEngine({ rules: [usbRule], probes: {} });
+  const outcome = await engine.evaluate();
+  assert.equal(outcome.passed, false);
+  assert.equal(outcome.failures[0].error, 'Unknown probe: usb');
+});
+
+test('evaluate: rules sharing a probe run it once', async () => {
+  const { probes, calls } = createFakeProbes({ conference: { providerName: 'Zoom', cameraInUse: true, screenSharing: true } });
+  const engine = createRuleEngine({ rules: [shareRule, cameraRule], probes });
+  await engine.evaluate({ scope: 'preflight' });
+  assert.equal(calls.conference, 1);
+});
+
+test('scope: preflight rules are only checked before the session', async () => {
+  const { probes, calls } = createFakeProbes({
+    usb: { devices: [] },
+    conference: { providerName: 'Zoom', cameraInUse: true, screenSharing: false }
+  });
+  const engine = createRuleEngine({ rules: [usbRule, shareRule], probes });
+
+  const preflight = await engine.evaluate({ scope: 'preflight' });
+  assert.deepEqual(preflight.results.map(result => result.id), ['usb', 'share']);
+  assert.deepEqual(preflight.failures.map(failure => failure.id), ['share']);
+
+  const session = await engine.evaluate({ scope: 'session' });
+  assert.equal(session.passed, true);
+  assert.deepEqual(session.results.map(result => result.id), ['usb']);
+  assert.equal(calls.conference, 1);
+});
+
+test('describe: lists a scope\'s requirements without running probes', () => {
+  const { probes, calls } = createFakeProbes({ usb: { devices: [] }, conference: {} });
+  const engine = createRuleEngine({ rules: [usbRule, shareRule], probes });
+  assert.deepEqual(engine.describe({ scope: 'preflight' }), [
+    { id: 'usb', severity: 'critical', title: 'No USB', fix: 'Unplug it.' },
+    { id: 'share', severity: 'preflight', title: 'Screen shared', fix: null }
+  ]);
+  assert.deepEqual(engine.describe().map(rule => rule.id), ['usb']);
+  assert.deepEqual(calls, { usb: 0, conference: 0 });
+});
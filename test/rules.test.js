@@ -0,0 +1,194 @@
+// Default fair-play rules, each evaluated against a fake probe result
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuleEngine } = require('../lib/rule-engine');
+const { defaultRules, buildRuleSet } = require('../lib/rules');
+
+function getRule(id) {
+  return defaultRules.find(rule => rule.id === id);
+}
+
+// Evaluate one rule with its probe returning value; resolves to the rule's result
+async function evaluateRule(id, value, options = {}) {
+  const rule = { ...getRule(id), options };
+  const engine = createRuleEngine({ rules: [rule], probes: { [rule.probe]: async () => value } });
+  const outcome = await engine.evaluate({ scope: 'preflight' });
+  return outcome.results[0];
+}
+
+test('buildRuleSet: keeps the policy\'s enabled rules, in default order, with their options', () => {
+  const rules = buildRuleSet({
+    displays: {},
+    usb: { allowedDevices: [{ name: 'Receiver' }] },
+    bluetooth: { enabled: false }
+  });
+  assert.deepEqual(rules.map(rule => rule.id), ['usb', 'displays']);
+  assert.deepEqual(rules[0].options, { allowedDevices: [{ name: 'Receiver' }] });
+});
+
+test('usb: any external device fails without an allowlist', async () => {
+  const result = await evaluateRule('usb', { devices: [{ name: 'SanDisk Cruzer', vendorId: '0781', productId: '5567' }] });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, 'Disconnect USB device: SanDisk Cruzer');
+  assert.deepEqual(result.details, [{ label: 'USB: SanDisk Cruzer', allowed: false }]);
+  assert.equal((await evaluateRule('usb', { devices: [] })).passed, true);
+});
+
+test('usb: allowed devices match by vendor and product id, or by name', async () => {
+  const devices = [
+    { name: 'USB Receiver', vendorId: '046d', productId: 'c52b' },
+    { name: 'Generic USB Audio', vendorId: '0d8c', productId: '0014' }
+  ];
+  const allowed = await evaluateRule('usb', { devices }, {
+    allowedDevices: [{ vendorId: '046D', productId: 'C52B' }, { name: 'usb audio' }]
+  });
+  assert.equal(allowed.passed, true);
+
+  const wrongProduct = await evaluateRule('usb', { devices }, {
+    allowedDevices: [{ vendorId: '046d', productId: 'c077' }, { name: 'usb audio' }]
+  });
+  assert.equal(wrongProduct.message, 'Disconnect USB device: USB Receiver');
+});
+
+test('bluetooth: the radio must be off without an allowlist', async () => {
+  assert.equal((await evaluateRule('bluetooth', { bluetoothEnabled: false, devices: [] })).passed, true);
+  const result = await evaluateRule('bluetooth', { bluetoothEnabled: true, devices: [] });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, 'Turn off Bluetooth');
+});
+
+test('bluetooth: with an allowlist every connected device must be allowed', async () => {
+  const options = { allowedDevices: [{ address: 'aa-bb-cc-dd-ee-ff' }, { type: 'hearing aid' }] };
+  const allowed = await evaluateRule('bluetooth', {
+    bluetoothEnabled: true,
+    devices: [
+      { name: 'Hearing aid', address: '11:22:33:44:55:66', type: 'Hearing Aid' },
+      { name: 'Keyboard', address: 'AA:BB:CC:DD:EE:FF', type: 'Keyboard' }
+    ]
+  }, options);
+  assert.equal(allowed.passed, true);
+
+  const blocked = await evaluateRule('bluetooth', {
+    bluetoothEnabled: true,
+    devices: [{ name: 'AirPods', address: '00:11:22:33:44:55', type: 'Headphones' }]
+  }, options);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.message, 'Disconnect Bluetooth device: AirPods');
+  assert.deepEqual(blocked.details, [{ label: 'Bluetooth: AirPods (Headphones)', allowed: false }]);
+});
+
+test('displays: only one display may be connected', async () => {
+  assert.equal((await evaluateRule('displays', { count: 1 })).passed, true);
+  const result = await evaluateRule('displays', { count: 2 });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, 'Disconnect external display');
+});
+
+test('conference-camera: the app must run with the camera on', async () => {
+  assert.equal((await evaluateRule('conference-camera', { providerName: 'Zoom', running: true, cameraInUse: true })).passed, true);
+  const notRunning = await evaluateRule('conference-camera', { providerName: 'Zoom', running: false, cameraInUse: false });
+  assert.equal(notRunning.message, 'Start Zoom with camera on');
+  const cameraOff = await evaluateRule('conference-camera', { providerName: 'Zoom', running: true, cameraInUse: false });
+  assert.equal(cameraOff.message, 'Turn on your Zoom camera');
+});
+
+test('conference-screen-share: fails only when sharing is known to be off', async () => {
+  const result = await evaluateRule('conference-screen-share', { providerName: 'Zoom', running: true, screenSharing: false });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, 'Share your screen in Zoom');
+  assert.equal((await evaluateRule('conference-screen-share', { providerName: 'Zoom', running: true, screenSharing: true })).passed, true);
+  // A provider whose sharing can't be observed is not blocked
+  assert.equal((await evaluateRule('conference-screen-share', { providerName: 'Meet', running: true, screenSharing: null })).passed, true);
+  assert.equal((await evaluateRule('conference-screen-share', { providerName: 'Zoom', running: false, screenSharing: null })).passed, false);
+});
+
+test('forbidden-apps: lists every running forbidden app', async () => {
+  assert.equal((await evaluateRule('forbidden-apps', { matches: [] })).passed, true);
+  const result = await evaluateRule('forbidden-apps', {
+    matches: [
+      { name: 'AnyDesk', category: 'remote-desktop', evidence: 'process AnyDesk.exe' },
+      { name: 'Stockfish', category: 'chess-engine', evidence: 'process stockfish' }
+    ]
+  });
+  assert.equal(result.message, 'Quit AnyDesk, Stockfish');
+  assert.deepEqual(result.details.map(detail => detail.label), [
+    'AnyDesk (remote desktop): process AnyDesk.exe',
+    'Stockfish (chess engine): process stockfish'
+  ]);
+});
+
+test('virtual-displays: passes for a single physical display', async () => {
+  const result = await evaluateRule('virtual-displays', {
+    displays: [{ label: 'Built-in Retina Display', displayFrequency: 60 }],
+    hardware: { displays: [{ name: 'Built-in Retina Display', internal: true, mirrored: false, virtual: false }], adapters: [] }
+  });
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.details, [{ label: 'Display: Built-in Retina Display (built-in)', allowed: true }]);
+});
+
+test('virtual-displays: reports virtual names, odd refresh rates, drivers and mirroring', async () => {
+  const result = await evaluateRule('virtual-displays', {
+    displays: [
+      { label: 'Sidecar Display', displayFrequency: 60 },
+      { label: 'Capture', displayFrequency: 5 }
+    ],
+    hardware: {
+      displays: [
+        { name: 'Sidecar Display', internal: false, mirrored: false, virtual: true },
+        { name: 'Built-in', internal: true, mirrored: false, virtual: false },
+        { name: 'LG', internal: false, mirrored: true, virtual: false }
+      ],
+      adapters: [{ name: 'Parsec Virtual Display Adapter', virtual: true }]
+    }
+  });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, [
+    'Virtual display: Sidecar Display',
+    'Unusual display refresh rate: Capture at 5 Hz',
+    'Virtual display driver: Parsec Virtual Display Adapter',
+    'Display mirroring is on'
+  ].join('; '));
+});
+
+test('virtual-displays: more displays in hardware than on screen means mirroring', async () => {
+  const result = await evaluateRule('virtual-displays', {
+    displays: [{ label: 'Built-in', displayFrequency: 60 }],
+    hardware: {
+      displays: [
+        { name: 'Built-in', internal: true, mirrored: false, virtual: false },
+        { name: 'Projector', internal: false, mirrored: false, virtual: false }
+      ],
+      adapters: []
+    }
+  });
+  assert.equal(result.message, 'Display mirroring is on');
+});
+
+test('virtual-machine: fails inside a VM and lists what gave it away', async () => {
+  assert.equal((await evaluateRule('virtual-machine', { virtualMachine: false, indicators: [] })).passed, true);
+  const result = await evaluateRule('virtual-machine', { virtualMachine: true, indicators: ['Model: VMware7,1'] });
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.details, [{ label: 'Model: VMware7,1', allowed: false }]);
+});
+
+test('app-focus: leaving ChessLock fails even after coming back', async () => {
+  assert.equal((await evaluateRule('app-focus', { focused: true, lostAt: null, awaySeconds: 0 })).passed, true);
+  const away = await evaluateRule('app-focus', { focused: false, lostAt: 1000, awaySeconds: 0 });
+  assert.equal(away.message, 'Return to ChessLock: another app is in front of it');
+  const back = await evaluateRule('app-focus', { focused: true, lostAt: 1000, awaySeconds: 4 });
+  assert.equal(back.passed, false);
+  assert.equal(back.message, 'You left ChessLock for 4 second(s)');
+});
+
+test('player-account: the account at the board must be the checked-in one', async () => {
+  assert.equal((await evaluateRule('player-account', { expected: 'JaneD', seen: 'GM janed' })).passed, true);
+  const result = await evaluateRule('player-account', { expected: 'JaneD', seen: 'MagnusC' });
+  assert.equal(result.passed, false);
+  assert.equal(result.message, 'Signed in as MagnusC, but checked in as JaneD');
+});
+
+test('player-account: nothing to compare before check-in or before an account is seen', async () => {
+  assert.equal((await evaluateRule('player-account', { expected: null, seen: 'MagnusC' })).passed, true);
+  assert.equal((await evaluateRule('player-account', { expected: 'JaneD', seen: null })).passed, true);
+});
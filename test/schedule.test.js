@@ -0,0 +1,84 @@
+// Event schedule: round phases and the session's round clock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getScheduleStatus, createRoundClock, validateSchedule } = require('../lib/schedule');
+
+const round = { name: 'Round 1', checkInOpens: '2026-03-07T09:30:00+01:00', start: '2026-03-07T10:00:00+01:00', end: '2026-03-07T12:00:00+01:00' };
+const round2 = { name: 'Round 2', checkInOpens: '2026-03-07T13:30:00+01:00', start: '2026-03-07T14:00:00+01:00', end: '2026-03-07T16:00:00+01:00' };
+const schedule = { lateStartMinutes: 5, rounds: [round2, round] };
+const at = (time) => Date.parse(`2026-03-07T${time}+01:00`);
+
+function createFakeMonotonicClock() {
+  let now = 1000;
+  return {
+    monotonicNow: () => now,
+    advance: (seconds) => { now += seconds * 1000; }
+  };
+}
+
+test('round clock: counts down from the time left at session start, on the monotonic clock only', () => {
+  const clock = createFakeMonotonicClock();
+  const roundClock = createRoundClock(round, { now: Date.parse('2026-03-07T11:00:00+01:00'), monotonicNow: clock.monotonicNow });
+  assert.equal(roundClock.msLeft(), 60 * 60 * 1000);
+  clock.advance(59 * 60);
+  assert.equal(roundClock.isOver(), false);
+  clock.advance(60);
+  assert.equal(roundClock.isOver(), true);
+  assert.equal(roundClock.msLeft(), 0);
+});
+
+test('round clock: a session resumed after the round ended is already over', () => {
+  const roundClock = createRoundClock(round, { now: Date.parse('2026-03-07T12:30:00+01:00'), monotonicNow: () => 0 });
+  assert.equal(roundClock.isOver(), true);
+});
+
+test('status: no rounds means players start whenever they like', () => {
+  assert.deepEqual(getScheduleStatus({ lateStartMinutes: 5, rounds: [] }), {
+    scheduled: false, phase: 'unscheduled', canStart: true, round: null, nextChangeAt: null
+  });
+});
+
+test('status: walks through a round\'s phases', () => {
+  const phases = ['09:00:00', '09:30:00', '10:04:59', '10:05:00'].map(time => {
+    const status = getScheduleStatus(schedule, at(time));
+    return [status.phase, status.canStart, status.round.name, status.nextChangeAt];
+  });
+  assert.deepEqual(phases, [
+    ['before-check-in', false, 'Round 1', '2026-03-07T08:30:00.000Z'],
+    ['check-in', true, 'Round 1', '2026-03-07T09:00:00.000Z'],
+    ['late-check-in', true, 'Round 1', '2026-03-07T09:05:00.000Z'],
+    ['closed', false, 'Round 1', '2026-03-07T11:00:00.000Z']
+  ]);
+});
+
+test('status: moves on to the next round once a round ends, and is over after the last', () => {
+  const between = getScheduleStatus(schedule, at('12:00:00'));
+  assert.equal(between.phase, 'before-check-in');
+  assert.equal(between.round.name, 'Round 2');
+  assert.deepEqual(getScheduleStatus(schedule, at('16:00:00')), {
+    scheduled: true, phase: 'over', canStart: false, round: null, nextChangeAt: null
+  });
+});
+
+test('validate: accepts a well-formed schedule', () => {
+  assert.equal(validateSchedule(schedule), null);
+});
+
+test('validate: rejects bad settings, times without a UTC offset and out-of-order rounds', () => {
+  assert.equal(validateSchedule({ rounds: [] }), 'schedule.lateStartMinutes must be a number of minutes (0 or more)');
+  assert.equal(validateSchedule({ lateStartMinutes: 0 }), 'schedule.rounds must be a list');
+  assert.equal(validateSchedule({ lateStartMinutes: 0, rounds: [{ ...round, name: ' ' }] }), 'schedule.rounds[0].name must be a non-empty string');
+  assert.equal(
+    validateSchedule({ lateStartMinutes: 0, rounds: [{ ...round, start: '2026-03-07T10:00:00' }] }),
+    'schedule.rounds[0].start must be an ISO 8601 time with a UTC offset'
+  );
+  assert.equal(
+    validateSchedule({ lateStartMinutes: 0, rounds: [{ ...round, end: round.start }] }),
+    'schedule round "Round 1" must open check-in before it starts, and start before it ends'
+  );
+  assert.equal(
+    validateSchedule({ lateStartMinutes: 0, rounds: [round, { ...round2, checkInOpens: '2026-03-07T11:30:00+01:00' }] }),
+    'schedule round "Round 2" opens check-in before "Round 1" ends'
+  );
+});
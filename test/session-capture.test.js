@@ -0,0 +1,61 @@
+// Session screenshots: event captures are never dropped, and the index survives damage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionCapture, listCaptures } = require('../lib/session-capture');
+
+function createDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-captures-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+// A capture function that only returns when released
+function createSlowCapture() {
+  const waiting = [];
+  return {
+    capture: () => new Promise(resolve => waiting.push(resolve)),
+    releaseNext: () => waiting.shift()(Buffer.from('jpeg')),
+    waiting
+  };
+}
+
+test('a warning capture during a periodic capture is queued, not dropped', async (t) => {
+  const slow = createSlowCapture();
+  const sessionCapture = createSessionCapture({ directory: createDirectory(t), capture: slow.capture, intervalSeconds: 30 });
+
+  const periodic = sessionCapture.snap('interval');
+  const warning = sessionCapture.snap('warning-shown');
+  // Nothing else is captured while the periodic capture waits
+  assert.equal(await sessionCapture.snap('interval'), null);
+
+  slow.releaseNext();
+  assert.equal((await periodic).reason, 'interval');
+  await new Promise(setImmediate);
+  slow.releaseNext();
+  assert.equal((await warning).reason, 'warning-shown');
+  assert.deepEqual(listCaptures(sessionCapture.directory).map(entry => entry.reason), ['interval', 'warning-shown']);
+});
+
+test('a failed capture does not hold up the ones after it', async (t) => {
+  let calls = 0;
+  const capture = async () => {
+    calls++;
+    if (calls === 1) throw new Error('window gone');
+    return Buffer.from('jpeg');
+  };
+  const sessionCapture = createSessionCapture({ directory: createDirectory(t), capture, intervalSeconds: 30 });
+  const [failed, navigation] = await Promise.all([sessionCapture.snap('navigation'), sessionCapture.snap('navigation-blocked')]);
+  assert.equal(failed, null);
+  assert.equal(navigation.reason, 'navigation-blocked');
+});
+
+test('listCaptures skips a damaged index line instead of throwing', (t) => {
+  const directory = createDirectory(t);
+  fs.writeFileSync(path.join(directory, 'index.jsonl'),
+    '{"time":"2026-10-19T18:00:00.000Z","reason":"interval","file":"a.jpg","sha256":"00"}\n{"time":"2026-10-19T18:00:3');
+  assert.deepEqual(listCaptures(directory).map(entry => entry.file), ['a.jpg']);
+});
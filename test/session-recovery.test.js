@@ -0,0 +1,53 @@
+// Interrupted sessions: notices kept for the arbiter until acknowledged
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getInterruptedSessionsPath,
+  loadInterruptedSessions,
+  addInterruptedSession,
+  acknowledgeInterruptedSessions
+} = require('../lib/session-recovery');
+
+function createUserData(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-userdata-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return getInterruptedSessionsPath(directory);
+}
+
+const notice = (sessionId) => ({
+  sessionId,
+  startedAt: '2026-10-19T18:00:00.000Z',
+  lastEntryTime: '2026-10-19T18:20:00.000Z',
+  reason: 'the session was interrupted for longer than 120 seconds',
+  player: null
+});
+
+test('notices survive relaunches until an arbiter acknowledges them', (t) => {
+  const filePath = createUserData(t);
+  assert.deepEqual(loadInterruptedSessions(filePath), []);
+
+  addInterruptedSession(filePath, notice('20261019T180000-a'));
+  addInterruptedSession(filePath, notice('20261019T190000-b'));
+  assert.deepEqual(loadInterruptedSessions(filePath).map(entry => entry.sessionId), ['20261019T180000-a', '20261019T190000-b']);
+
+  acknowledgeInterruptedSessions(filePath);
+  assert.deepEqual(loadInterruptedSessions(filePath), []);
+});
+
+test('a session is only noticed once', (t) => {
+  const filePath = createUserData(t);
+  addInterruptedSession(filePath, notice('20261019T180000-a'));
+  assert.equal(addInterruptedSession(filePath, notice('20261019T180000-a')).length, 1);
+});
+
+test('an unreadable notice list is itself a notice', (t) => {
+  const filePath = createUserData(t);
+  fs.writeFileSync(filePath, '{ not json');
+  const notices = loadInterruptedSessions(filePath);
+  assert.equal(notices.length, 1);
+  assert.match(notices[0].reason, /unreadable/);
+});
@@ -0,0 +1,131 @@
+// USB classification from `system_profiler -json` output of several Mac models
+// (fixtures in test/fixtures/system-profiler-usb) and from Linux sysfs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSystemProfilerUsb, readSysfsUsbDevices, isExternalDevice, normalizeUsbId } = require('../lib/usb-inventory');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'system-profiler-usb', `${name}.json`), 'utf8');
+}
+
+function externalNames(name) {
+  return parseSystemProfilerUsb(loadFixture(name)).filter(isExternalDevice).map(device => device.name);
+}
+
+test('Intel MacBook Pro: built-in devices and hubs are not external', () => {
+  const devices = parseSystemProfilerUsb(loadFixture('macbookpro12-1-intel'));
+  assert.deepEqual(devices.map(device => device.name), [
+    'BRCM20702 Hub',
+    'Bluetooth USB Host Controller',
+    'Apple Internal Keyboard / Trackpad',
+    'Card Reader',
+    'USB2.0 Hub',
+    'USB Keyboard'
+  ]);
+  assert.deepEqual(externalNames('macbookpro12-1-intel'), ['USB Keyboard']);
+});
+
+test('Intel MacBook Pro: device fields are normalised', () => {
+  const keyboard = parseSystemProfilerUsb(loadFixture('macbookpro12-1-intel')).find(device => device.name === 'USB Keyboard');
+  assert.deepEqual(keyboard, {
+    name: 'USB Keyboard',
+    manufacturer: 'Logitech',
+    vendorId: '046d',
+    productId: 'c31c',
+    serial: null,
+    locationId: '0x14120000 / 6',
+    builtIn: false,
+    hub: false
+  });
+});
+
+test('T2 MacBook Pro: everything behind the T2 controller is built in', () => {
+  const devices = parseSystemProfilerUsb(loadFixture('macbookpro15-1-t2'));
+  assert.ok(devices.find(device => device.name === 'FaceTime HD Camera (Built-in)').builtIn);
+  assert.deepEqual(externalNames('macbookpro15-1-t2'), ['SanDisk Ultra']);
+});
+
+test('Apple Silicon MacBook Air: devices behind an external hub are external, the hub is not', () => {
+  assert.deepEqual(externalNames('macbookair10-1-apple-silicon'), ['USB Receiver', 'USB 10/100/1000 LAN']);
+});
+
+test('macOS 15 SPUSBHostDataType: an Apple vendor id alone does not make a device built in', () => {
+  const devices = parseSystemProfilerUsb(loadFixture('mac14-2-macos15-host'));
+  assert.deepEqual(devices, [{
+    name: 'Keychron K2',
+    manufacturer: 'Keychron',
+    vendorId: '05ac',
+    productId: '024f',
+    serial: null,
+    locationId: '0x01100000',
+    builtIn: false,
+    hub: false
+  }]);
+  assert.equal(isExternalDevice(devices[0]), true);
+});
+
+test('isExternalDevice excludes built-in devices and hubs only', () => {
+  assert.equal(isExternalDevice({ builtIn: false, hub: false }), true);
+  assert.equal(isExternalDevice({ builtIn: true, hub: false }), false);
+  assert.equal(isExternalDevice({ builtIn: false, hub: true }), false);
+});
+
+test('normalizeUsbId accepts every id format system_profiler uses', () => {
+  assert.equal(normalizeUsbId('0x046d  (Logitech Inc.)'), '046d');
+  assert.equal(normalizeUsbId('0x46D'), '046d');
+  assert.equal(normalizeUsbId('apple_vendor_id'), '05ac');
+  assert.equal(normalizeUsbId(1133), '046d');
+  assert.equal(normalizeUsbId(''), null);
+});
+
+// A sysfs device tree in a temporary directory: { '1-2': { idVendor: '046d', 'port/connect_type': 'hotplug' } }
+function createSysfsTree(devices) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chesslock-sysfs-'));
+  for (const [name, attributes] of Object.entries(devices)) {
+    for (const [attribute, value] of Object.entries(attributes)) {
+      const file = path.join(directory, name, attribute);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${value}\n`);
+    }
+  }
+  return directory;
+}
+
+test('Linux: internal devices on ports reported as unknown but hardwired are built in', (t) => {
+  const directory = createSysfsTree({
+    'usb1': { idVendor: '1d6b', idProduct: '0002', bDeviceClass: '09' },
+    '1-0:1.0': { bInterfaceClass: '09' },
+    // Intel Bluetooth adapter and a laptop webcam, as many laptops report them
+    '1-10': { idVendor: '8087', idProduct: '0026', bDeviceClass: 'e0', removable: 'unknown', 'port/connect_type': 'hardwired' },
+    '1-5': { idVendor: '04f2', idProduct: 'b6dd', product: 'Integrated Camera', bDeviceClass: 'ef', removable: 'unknown', 'port/connect_type': 'not used' },
+    '1-7': { idVendor: '06cb', idProduct: '00bd', bDeviceClass: 'ff', removable: 'fixed', 'port/connect_type': 'hardwired' },
+    // A mouse in a USB socket, and a device on a port the firmware says nothing about
+    '1-1': { idVendor: '046d', idProduct: 'c077', product: 'USB Optical Mouse', bDeviceClass: '00', removable: 'removable', 'port/connect_type': 'hotplug' },
+    '1-2': { idVendor: '0781', idProduct: '5581', product: 'Ultra', bDeviceClass: '00', removable: 'unknown', 'port/connect_type': 'unknown' },
+    '1-3': { idVendor: '05e3', idProduct: '0610', product: 'USB2.0 Hub', bDeviceClass: '09', removable: 'removable', 'port/connect_type': 'hotplug' },
+    '1-3.1': { idVendor: '046d', idProduct: 'c31c', product: 'USB Keyboard', bDeviceClass: '00', removable: 'unknown' }
+  });
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const devices = readSysfsUsbDevices(directory);
+  assert.deepEqual(devices.map(device => device.locationId).sort(), ['1-1', '1-10', '1-2', '1-3', '1-3.1', '1-5', '1-7']);
+  assert.deepEqual(devices.filter(isExternalDevice).map(device => device.name).sort(), ['USB Keyboard', 'USB Optical Mouse', 'Ultra']);
+  assert.deepEqual(devices.find(device => device.locationId === '1-5'), {
+    name: 'Integrated Camera',
+    manufacturer: null,
+    vendorId: '04f2',
+    productId: 'b6dd',
+    serial: null,
+    locationId: '1-5',
+    builtIn: true,
+    hub: false
+  });
+});
+
+test('Linux: an unreadable sysfs fails instead of reporting no devices', () => {
+  assert.throws(() => readSysfsUsbDevices(path.join(os.tmpdir(), 'chesslock-no-such-sysfs')), /ENOENT/);
+});